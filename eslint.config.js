@@ -22,6 +22,8 @@ export default [
         fetch: 'readonly',
         URL: 'readonly',
         URLSearchParams: 'readonly',
+        Worker: 'readonly',
+        Event: 'readonly',
       },
     },
     rules: {
@@ -33,11 +35,23 @@ export default [
   },
   {
     // Node.js build scripts
-    files: ['src/js/build-*.js'],
+    files: ['src/js/build.js', 'src/js/build-*.js'],
     languageOptions: {
       globals: {
         process: 'readonly',
         console: 'readonly',
+        clearTimeout: 'readonly',
+        Buffer: 'readonly',
+      },
+    },
+  },
+  {
+    // Web Workers
+    files: ['src/js/*-worker.js'],
+    languageOptions: {
+      globals: {
+        self: 'readonly',
+        TextDecoder: 'readonly',
       },
     },
   },
@@ -0,0 +1,160 @@
+/**
+ * @file ANSI to HTML — renders terminal-styled notebook output.
+ * @description Stream output and tracebacks carry ANSI escape sequences (colored
+ * pytest/rich output, tqdm progress bars, IPython tracebacks). This converts SGR
+ * styling to spans and drops every other control sequence. The 16 standard
+ * colors become classes (`ansi-fg-red`, `ansi-bg-bright-blue`, …) styled with the
+ * --ansi-* tokens in variables.css; 256-color and truecolor values outside that
+ * range are inlined as rgb(). Carriage returns are collapsed the way a terminal
+ * would show them, so a progress bar ends up as its final state.
+ * Used by the notebook viewer and by the build-time page/feed renderer, so it
+ * has no DOM or Node dependencies.
+ * @module ansi
+ */
+
+import { escapeHtml } from './utils.js';
+
+/** Standard color names, in SGR order (30–37 / 40–47; bright: 90–97 / 100–107) */
+const COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+/** Levels of the 6×6×6 color cube in the 256-color palette */
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+/** CSI sequences (SGR and cursor/erase codes) and OSC sequences (titles, hyperlinks) */
+// eslint-disable-next-line no-control-regex
+const ESCAPE_PATTERN = /\x1b\[([0-9;:?]*)([A-Za-z])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+/** Only SGR (styling) sequences, for carrying style across collapsed text */
+// eslint-disable-next-line no-control-regex
+const SGR_PATTERN = /\x1b\[[0-9;:]*m/g;
+
+/**
+ * Collapse carriage returns line by line: text after the last \r overwrites the
+ * line, as in a terminal. Styling set in the overwritten text is kept.
+ * @param {string} text - Raw output.
+ * @returns {string} Output as a terminal would leave it.
+ */
+function collapseCarriageReturns(text) {
+  return text.replace(/\r\n/g, '\n').split('\n').map(line => {
+    if (!line.includes('\r')) return line;
+    const parts = line.split('\r');
+    let last = parts.length - 1;
+    while (last > 0 && !parts[last].replace(SGR_PATTERN, '')) last--;
+    const styles = parts.slice(0, last).join('').match(SGR_PATTERN) || [];
+    return styles.join('') + parts[last];
+  }).join('\n');
+}
+
+/**
+ * Resolve a 256-color palette index to a class suffix (0–15) or an rgb() value.
+ * @param {number} n - Palette index.
+ * @returns {{ name?: string, rgb?: string }} Named color or CSS color.
+ */
+function paletteColor(n) {
+  if (n < 8) return { name: COLOR_NAMES[n] };
+  if (n < 16) return { name: `bright-${COLOR_NAMES[n - 8]}` };
+  if (n < 232) {
+    const i = n - 16;
+    return { rgb: `rgb(${CUBE_LEVELS[Math.floor(i / 36)]}, ${CUBE_LEVELS[Math.floor(i / 6) % 6]}, ${CUBE_LEVELS[i % 6]})` };
+  }
+  const gray = 8 + (n - 232) * 10;
+  return { rgb: `rgb(${gray}, ${gray}, ${gray})` };
+}
+
+/**
+ * Read an extended color (38/48 ;5;n or ;2;r;g;b) from SGR parameters.
+ * @param {number[]} params - SGR parameters.
+ * @param {number} i - Index of the 38/48 parameter.
+ * @returns {{ color: object|null, next: number }} The color, and the index of the
+ *   last parameter consumed.
+ */
+function readExtendedColor(params, i) {
+  if (params[i + 1] === 5 && params[i + 2] >= 0 && params[i + 2] <= 255) {
+    return { color: paletteColor(params[i + 2]), next: i + 2 };
+  }
+  if (params[i + 1] === 2 && params.length >= i + 5) {
+    const [r, g, b] = params.slice(i + 2, i + 5).map(v => Math.min(255, Math.max(0, v || 0)));
+    return { color: { rgb: `rgb(${r}, ${g}, ${b})` }, next: i + 4 };
+  }
+  return { color: null, next: params.length };
+}
+
+/**
+ * Apply one SGR sequence's parameters to the current style.
+ * @param {object} style - Current style (mutated).
+ * @param {string} paramText - Parameter text, e.g. "1;38;5;208".
+ */
+function applySgr(style, paramText) {
+  const params = paramText ? paramText.split(/[;:]/).map(Number) : [0];
+
+  for (let i = 0; i < params.length; i++) {
+    const code = params[i];
+    if (code === 0 || Number.isNaN(code)) {
+      Object.assign(style, { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, strike: false });
+    } else if (code === 1) style.bold = true;
+    else if (code === 2) style.dim = true;
+    else if (code === 3) style.italic = true;
+    else if (code === 4) style.underline = true;
+    else if (code === 9) style.strike = true;
+    else if (code === 22) style.bold = style.dim = false;
+    else if (code === 23) style.italic = false;
+    else if (code === 24) style.underline = false;
+    else if (code === 29) style.strike = false;
+    else if (code >= 30 && code <= 37) style.fg = { name: COLOR_NAMES[code - 30] };
+    else if (code >= 90 && code <= 97) style.fg = { name: `bright-${COLOR_NAMES[code - 90]}` };
+    else if (code >= 40 && code <= 47) style.bg = { name: COLOR_NAMES[code - 40] };
+    else if (code >= 100 && code <= 107) style.bg = { name: `bright-${COLOR_NAMES[code - 100]}` };
+    else if (code === 39) style.fg = null;
+    else if (code === 49) style.bg = null;
+    else if (code === 38 || code === 48) {
+      const { color, next } = readExtendedColor(params, i);
+      if (color) style[code === 38 ? 'fg' : 'bg'] = color;
+      i = next;
+    }
+  }
+}
+
+/**
+ * Wrap a run of text in a span for the current style (or leave it bare).
+ * @param {string} text - Raw text.
+ * @param {object} style - Current style.
+ * @returns {string} HTML string.
+ */
+function styledRun(text, style) {
+  const classes = [];
+  const css = [];
+  if (style.bold) classes.push('ansi-bold');
+  if (style.dim) classes.push('ansi-dim');
+  if (style.italic) classes.push('ansi-italic');
+  if (style.underline) classes.push('ansi-underline');
+  if (style.strike) classes.push('ansi-strike');
+  if (style.fg?.name) classes.push(`ansi-fg-${style.fg.name}`);
+  if (style.fg?.rgb) css.push(`color: ${style.fg.rgb}`);
+  if (style.bg?.name) classes.push(`ansi-bg-${style.bg.name}`);
+  if (style.bg?.rgb) css.push(`background-color: ${style.bg.rgb}`);
+
+  const escaped = escapeHtml(text);
+  if (!classes.length && !css.length) return escaped;
+  return `<span${classes.length ? ` class="${classes.join(' ')}"` : ''}${css.length ? ` style="${css.join('; ')}"` : ''}>${escaped}</span>`;
+}
+
+/**
+ * Convert terminal output to HTML: SGR styling becomes spans, other control
+ * sequences are dropped, carriage returns collapse, and text is HTML-escaped.
+ * @param {string} text - Raw output text.
+ * @returns {string} HTML string (for a white-space: pre-wrap container).
+ */
+export function ansiToHtml(text) {
+  const source = collapseCarriageReturns(text || '');
+  const style = { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, strike: false };
+  let html = '';
+  let last = 0;
+
+  for (const match of source.matchAll(ESCAPE_PATTERN)) {
+    if (match.index > last) html += styledRun(source.slice(last, match.index), style);
+    if (match[2] === 'm') applySgr(style, match[1]);
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) html += styledRun(source.slice(last), style);
+  return html;
+}
@@ -1,21 +1,69 @@
 /**
- * @file Blog Build Script — fetches Substack RSS feed and generates rendered post JSON.
- * @description Reads from the configured Substack RSS URL, parses each <item>,
- * extracts metadata (title, slug, date, tags, cover image), sanitizes HTML content
- * with DOMPurify, and writes individual post JSON files to blog/_rendered/ plus
- * a combined index to blog/_posts.json.
+ * @file Blog Build Script — fetches RSS/Atom feeds and generates rendered post JSON.
+ * @description Reads every feed listed in blog/feeds.json, parses each as XML
+ * (RSS 2.0, RSS 1.0 or Atom 1.0), turns each <item>/<entry> into a post,
+ * extracts metadata (title, slug, date, tags, cover image), typesets $…$ / $$…$$
+ * math and Substack LaTeX blocks with KaTeX, sanitizes HTML content with DOMPurify,
+ * and writes individual post JSON files to blog/_rendered/ plus a combined index
+ * to blog/_posts.json. Posts are deduplicated by GUID or link and
+ * merged newest first. Local Markdown posts from blog/posts/ join the same index.
+ * Every entry carries a `source` (the feed id, or "local") and a `publication` name.
  *
- * Inputs:  Substack RSS feed (HTTPS)
- * Outputs: blog/_posts.json (index), blog/_rendered/<slug>.json (per-post)
+ * Inputs:  blog/feeds.json, the feeds it lists (HTTPS), blog/posts/*.md, blog/slugs.json
+ * Outputs: blog/_posts.json (index), blog/_rendered/<slug>.json (per-post),
+ *          blog/_redirects.json (old slug -> current slug), blog/slugs.json (updated)
+ *
+ * Slugs are pinned per post in the slug registry (blog/slugs.json, committed with
+ * the content), keyed by GUID (falling back to link; `local:<name>` for local posts).
+ * A post keeps its first slug even if its title changes; colliding slugs get a
+ * numeric suffix (-2, -3, ...). To rename a post, edit its `slug` in the registry:
+ * the next build moves it and records the old slug under `previous`, which feeds
+ * the redirect map.
+ *
+ * Feed config format (blog/feeds.json) — earlier feeds win when a post is duplicated:
+ *   { "feeds": [{
+ *       "id": "substack",                          // stable key, stored as `source`
+ *       "name": "Shushank recent endeavors",       // publication shown as a badge
+ *       "url": "https://example.substack.com/feed",
+ *       "author": "Shushank Singh",                // used when an item has no author
+ *       "tags": { "k8s": "Kubernetes", "misc": null } // rename (or drop with null)
+ *   }] }
+ *
+ * Run through build.js (step "blog"), which passes the feed options below.
+ *
+ * Feed sources, in order of preference:
+ *   fixture — a local feed file given by --feed-file [<id>=]<path> or BLOG_FEED_FILE
+ *             (comma-separated); a bare path applies to the first feed. Feeds
+ *             without a fixture are then read from the cache only.
+ *   live    — the network feed, requested conditionally (If-None-Match /
+ *             If-Modified-Since) against the copy in .cache/blog/
+ *   cached  — the last raw feed in .cache/blog/, used when offline (--offline or
+ *             BLOG_OFFLINE=1) or when the live request fails
+ * A 304 Not Modified response leaves the previously written feed posts untouched.
+ * The cache location can be overridden with BLOG_CACHE_DIR.
+ *
+ * Local post format (YAML frontmatter + Markdown body), named YYYY-MM-DD_slug.md:
+ *   ---
+ *   title: "My Post"
+ *   date: 2026-02-01
+ *   tags: ["AI", "Notes"]
+ *   description: "A short description"
+ *   cover: "/blog/covers/my-post.png"
+ *   ---
+ *   Markdown body...
  */
 
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
-import { join } from 'path';
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync, unlinkSync } from 'fs';
+import { join, basename, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { createHash } from 'crypto';
 import https from 'https';
 import { JSDOM } from 'jsdom';
 import createDOMPurify from 'dompurify';
+import { marked } from 'marked';
+import { parse as parseYaml } from 'yaml';
+import { markdownWithMath, renderHtmlMath } from './render-math.js';
 
 // DOMPurify needs a DOM window in Node.js — create one via jsdom
 const window = new JSDOM('').window;
@@ -25,33 +73,48 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT = join(__dirname, '..', '..');
 
-const SUBSTACK_FEED_URL = 'https://shushankrecentendeavors.substack.com/feed';
+const DEFAULT_CREATOR = 'Shushank Singh';
+
+/**
+ * DOMPurify options shared by feed and local post content (allows embeds, and
+ * the MathML <semantics>/<annotation> wrapper KaTeX puts around the TeX source)
+ */
+const SANITIZE_OPTIONS = {
+  ADD_TAGS: ['iframe', 'semantics', 'annotation'],
+  ADD_ATTR: ['target', 'allow', 'allowfullscreen', 'frameborder', 'encoding'],
+};
+
+const FEEDS_CONFIG = join(ROOT, 'blog', 'feeds.json');
+const SLUG_REGISTRY = join(ROOT, 'blog', 'slugs.json');
+const LOCAL_POSTS_DIR = join(ROOT, 'blog', 'posts');
 const OUTPUT_INDEX = join(ROOT, 'public', 'blog', '_posts.json');
 const OUTPUT_RENDERED = join(ROOT, 'public', 'blog', '_rendered');
-
-// Ensure output directory exists
-if (!existsSync(OUTPUT_RENDERED)) {
-  mkdirSync(OUTPUT_RENDERED, { recursive: true });
-}
+const OUTPUT_REDIRECTS = join(ROOT, 'public', 'blog', '_redirects.json');
+const CACHE_DIR = process.env.BLOG_CACHE_DIR
+  ? resolve(process.env.BLOG_CACHE_DIR)
+  : join(ROOT, '.cache', 'blog');
 
 /**
- * Fetch URL content via HTTPS with redirect support.
+ * Fetch URL content via HTTPS with redirect support. Resolves for 200 and
+ * 304 responses so callers can handle conditional requests.
  * @param {string} url - The URL to fetch.
- * @returns {Promise<string>} The response body as a string.
+ * @param {object} [headers] - Extra request headers (e.g. If-None-Match).
+ * @returns {Promise<{ statusCode: number, headers: object, body: string }>} The response.
  */
-function fetchURL(url) {
+function fetchURL(url, headers = {}) {
   return new Promise((resolve, reject) => {
-    const req = https.get(url, { headers: { 'User-Agent': 'sushi-lab-blog-builder/1.0' } }, (res) => {
+    const options = { headers: { 'User-Agent': 'sushi-lab-blog-builder/1.0', ...headers } };
+    const req = https.get(url, options, (res) => {
       // Follow 3xx redirects
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchURL(res.headers.location).then(resolve).catch(reject);
+        return fetchURL(res.headers.location, headers).then(resolve).catch(reject);
       }
-      if (res.statusCode !== 200) {
+      if (res.statusCode !== 200 && res.statusCode !== 304) {
         return reject(new Error(`HTTP ${res.statusCode}`));
       }
       let data = '';
       res.on('data', chunk => { data += chunk; });
-      res.on('end', () => resolve(data));
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data }));
     });
     req.on('error', reject);
     req.setTimeout(15000, () => { req.destroy(); reject(new Error('Timeout')); });
@@ -59,45 +122,246 @@ function fetchURL(url) {
 }
 
 /**
- * Extract the text content of an XML tag, handling CDATA wrappers and namespaced
- * tags (e.g. content:encoded, dc:creator).
- *
- * Regex pattern: <tagName[attrs]>...content...</tagName>
- * The [^>]* allows for XML attributes on the opening tag.
- * The [\s\S]*? non-greedy match captures content across newlines.
- *
- * @param {string} xml - The XML string to search within.
- * @param {string} tag - The tag name (may include namespace prefix like 'content:encoded').
- * @returns {string} The extracted text, or empty string if not found.
- */
-function extractTag(xml, tag) {
-  // Escape regex special chars in tag name (e.g. the colon in content:encoded)
-  const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const match = xml.match(new RegExp(`<${escaped}[^>]*>([\\s\\S]*?)</${escaped}>`, 'i'));
-  if (!match) return '';
-  let content = match[1].trim();
-  // Strip CDATA wrappers: <![CDATA[...]]>
-  if (content.startsWith('<![CDATA[')) {
-    content = content.slice(9);
-    if (content.endsWith(']]>')) content = content.slice(0, -3);
+ * Resolve the cache file paths for a feed URL. Each feed gets its own pair of
+ * files keyed by a hash of the URL: the raw XML and its validator metadata.
+ * @param {string} url - The feed URL.
+ * @returns {{ xmlPath: string, metaPath: string }}
+ */
+function cachePaths(url) {
+  const key = createHash('sha1').update(url).digest('hex').slice(0, 12);
+  return {
+    xmlPath: join(CACHE_DIR, `${key}.xml`),
+    metaPath: join(CACHE_DIR, `${key}.json`),
+  };
+}
+
+/**
+ * Read the cached raw feed and its ETag/Last-Modified validators.
+ * @param {string} url - The feed URL.
+ * @returns {{ xml: string, etag: string, lastModified: string, fetchedAt: string }|null}
+ *   The cache entry, or null if nothing usable is cached.
+ */
+function readFeedCache(url) {
+  const { xmlPath, metaPath } = cachePaths(url);
+  if (!existsSync(xmlPath)) return null;
+  try {
+    const meta = existsSync(metaPath) ? JSON.parse(readFileSync(metaPath, 'utf-8')) : {};
+    return {
+      xml: readFileSync(xmlPath, 'utf-8'),
+      etag: meta.etag || '',
+      lastModified: meta.lastModified || '',
+      fetchedAt: meta.fetchedAt || '',
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a freshly fetched feed and its validators in the cache directory.
+ * @param {string} url - The feed URL.
+ * @param {string} xml - The raw feed body.
+ * @param {object} headers - Response headers (etag, last-modified).
+ */
+function writeFeedCache(url, xml, headers) {
+  const { xmlPath, metaPath } = cachePaths(url);
+  mkdirSync(CACHE_DIR, { recursive: true });
+  writeFileSync(xmlPath, xml);
+  writeFileSync(metaPath, JSON.stringify({
+    url,
+    etag: headers.etag || '',
+    lastModified: headers['last-modified'] || '',
+    fetchedAt: new Date().toISOString(),
+  }, null, 2));
+}
+
+/** Built-in feed list, used when blog/feeds.json does not exist */
+const DEFAULT_FEEDS = [{
+  id: 'substack',
+  name: 'Shushank recent endeavors',
+  url: 'https://shushankrecentendeavors.substack.com/feed',
+  author: DEFAULT_CREATOR,
+  tags: {},
+}];
+
+/**
+ * Load and validate the feed list from blog/feeds.json. Entries missing an id,
+ * name or url are reported and skipped.
+ * @returns {Array<{ id: string, name: string, url: string, author: string, tags: object }>}
+ * @throws {Error} If the config file exists but is not valid JSON.
+ */
+function loadFeedConfig() {
+  if (!existsSync(FEEDS_CONFIG)) return DEFAULT_FEEDS;
+
+  const config = JSON.parse(readFileSync(FEEDS_CONFIG, 'utf-8'));
+  const feeds = [];
+  for (const feed of config.feeds || []) {
+    if (!feed.id || !feed.name || !feed.url) {
+      console.warn(`  Skipping feed config entry without id/name/url: ${JSON.stringify(feed)}`);
+      continue;
+    }
+    if (feed.id === 'local' || feeds.some(f => f.id === feed.id)) {
+      console.warn(`  Skipping feed with reserved or duplicate id "${feed.id}".`);
+      continue;
+    }
+    // Tag mapping keys match case-insensitively
+    const tags = {};
+    for (const [from, to] of Object.entries(feed.tags || {})) tags[from.toLowerCase()] = to;
+    feeds.push({ id: feed.id, name: feed.name, url: feed.url, author: feed.author || DEFAULT_CREATOR, tags });
+  }
+  return feeds;
+}
+
+/**
+ * Match --feed-file values to feed ids. `<id>=<path>` targets one feed; a bare
+ * path targets the first configured feed.
+ * @param {object[]} feeds - Feeds from loadFeedConfig.
+ * @param {string[]} feedFiles - Fixture values, as given on the command line.
+ * @returns {Map<string, string>} Feed id to absolute fixture path.
+ */
+function resolveFixtures(feeds, feedFiles) {
+  const fixtures = new Map();
+  for (const value of feedFiles) {
+    const match = value.match(/^([\w-]+)=(.+)$/);
+    const id = match ? match[1] : feeds[0]?.id;
+    if (id && feeds.some(f => f.id === id)) fixtures.set(id, resolve(match ? match[2] : value));
+    else console.warn(`  No configured feed for fixture "${value}".`);
+  }
+  return fixtures;
+}
+
+/**
+ * Load the raw feed XML from a fixture file, the network, or the cache.
+ * Origin is one of "fixture", "live", "not-modified", "cached", or "none"
+ * (nothing available, xml is empty).
+ * @param {string} url - The feed URL.
+ * @param {object} [options]
+ * @param {string} [options.fixture] - Path to a local feed file to use instead.
+ * @param {boolean} [options.offline] - Skip the network and use the cache only.
+ * @returns {Promise<{ origin: string, xml: string, detail: string }>}
+ */
+async function loadFeed(url, { fixture = '', offline = false } = {}) {
+  if (fixture) {
+    return { origin: 'fixture', xml: readFileSync(fixture, 'utf-8'), detail: fixture };
+  }
+
+  const cache = readFeedCache(url);
+
+  if (!offline) {
+    const headers = {};
+    if (cache?.etag) headers['If-None-Match'] = cache.etag;
+    if (cache?.lastModified) headers['If-Modified-Since'] = cache.lastModified;
+    try {
+      const res = await fetchURL(url, headers);
+      if (res.statusCode === 304) {
+        if (!cache) throw new Error('HTTP 304 without a cached copy');
+        return { origin: 'not-modified', xml: cache.xml, detail: `cached ${cache.fetchedAt || 'unknown'}` };
+      }
+      // Cache only a body that parses, so a broken response is not kept behind a 304
+      try {
+        extractItems(res.body);
+      } catch (err) {
+        throw new Error(`unusable feed body: ${err.message}`);
+      }
+      writeFeedCache(url, res.body, res.headers);
+      return { origin: 'live', xml: res.body, detail: url };
+    } catch (err) {
+      console.warn(`  Could not fetch RSS feed: ${err.message}`);
+    }
+  }
+
+  if (cache) return { origin: 'cached', xml: cache.xml, detail: `fetched ${cache.fetchedAt || 'unknown'}` };
+  return { origin: 'none', xml: '', detail: offline ? 'offline with empty cache' : 'fetch failed' };
+}
+
+/** XML namespaces used by RSS extensions and Atom */
+const NS = {
+  atom: 'http://www.w3.org/2005/Atom',
+  content: 'http://purl.org/rss/1.0/modules/content/',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  media: 'http://search.yahoo.com/mrss/',
+};
+
+/**
+ * Find the direct child elements of a feed element by local name, optionally
+ * restricted to a namespace. Matching children only (not descendants) keeps
+ * e.g. an item's <title> distinct from a nested <image><title>.
+ * @param {Element} el - The parent element.
+ * @param {string} name - The local tag name (e.g. 'encoded' for content:encoded).
+ * @param {string} [ns] - Namespace URI; when omitted any namespace matches.
+ * @returns {Element[]} Matching child elements in document order.
+ */
+function children(el, name, ns) {
+  return Array.from(el.children).filter(child =>
+    child.localName === name && (ns === undefined || child.namespaceURI === ns)
+  );
+}
+
+/**
+ * Get the trimmed text of the first matching child element. CDATA sections
+ * and entities are resolved by the XML parser.
+ * @param {Element} el - The parent element.
+ * @param {string} name - The local tag name.
+ * @param {string} [ns] - Namespace URI.
+ * @returns {string} The text content, or empty string if not found.
+ */
+function childText(el, name, ns) {
+  const child = children(el, name, ns)[0];
+  return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Read an Atom text construct (title, summary, content) as an HTML string.
+ * type="xhtml" wraps markup in a <div>; type="html" carries escaped markup;
+ * plain text (the default) is HTML-escaped.
+ * @param {Element|undefined} el - The text construct element.
+ * @returns {string} HTML string, or empty string if the element is missing.
+ */
+function atomTextToHtml(el) {
+  if (!el) return '';
+  const type = el.getAttribute('type') || 'text';
+  if (type === 'xhtml') {
+    const div = el.firstElementChild;
+    // XML serialization repeats the XHTML namespace on each top-level element
+    return (div ? div.innerHTML : el.innerHTML).replace(/ xmlns="[^"]*"/g, '').trim();
   }
-  return content.trim();
+  const text = el.textContent.trim();
+  if (type === 'html' || type === 'text/html') return text;
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Read an Atom text construct as plain text (for titles), decoding any markup.
+ * @param {Element|undefined} el - The text construct element.
+ * @returns {string} Plain text, or empty string if the element is missing.
+ */
+function atomTextToPlain(el) {
+  if (!el) return '';
+  if ((el.getAttribute('type') || 'text') === 'text') return el.textContent.trim();
+  const tmp = window.document.createElement('div');
+  tmp.innerHTML = DOMPurify.sanitize(atomTextToHtml(el));
+  return tmp.textContent.trim();
 }
 
 /**
- * Extract all <item>...</item> blocks from an RSS XML string.
- * Uses a global regex to find each item element.
- * @param {string} xml - The full RSS XML string.
- * @returns {string[]} Array of inner XML strings for each item.
+ * Parse a feed document and return its entry elements. Supports RSS 2.0
+ * (<item> inside <channel>), RSS 1.0/RDF (<item> beside <channel>), and
+ * Atom 1.0 (<entry> inside <feed>).
+ * @param {string} xml - The full feed XML string.
+ * @returns {Element[]} The <item> or <entry> elements.
+ * @throws {Error} If the XML is malformed or not a recognized feed format.
  */
 function extractItems(xml) {
-  const items = [];
-  const itemRegex = /<item>([\s\S]*?)<\/item>/gi;
-  let match;
-  while ((match = itemRegex.exec(xml)) !== null) {
-    items.push(match[1]);
+  const doc = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+  const root = doc.documentElement;
+
+  if (root.localName === 'feed' && root.namespaceURI === NS.atom) {
+    return children(root, 'entry', NS.atom);
+  }
+  if (root.localName === 'rss' || root.localName === 'RDF') {
+    return Array.from(doc.getElementsByTagNameNS('*', 'item'));
   }
-  return items;
+  throw new Error(`Unrecognized feed format (root element <${root.tagName}>)`);
 }
 
 /**
@@ -138,135 +402,469 @@ function extractCoverImage(html) {
 }
 
 /**
- * Parse a single RSS <item> XML block into a structured post object.
+ * Read the fields of an RSS <item> element.
+ * @param {Element} item - The <item> element.
+ * @returns {object} Raw fields (title, link, guid, published, description, html,
+ *   creator, tags, enclosure).
+ */
+function readRssItem(item) {
+  const enclosure = children(item, 'enclosure')
+    .find(el => !el.getAttribute('type') || el.getAttribute('type').startsWith('image/'));
+  const thumbnail = children(item, 'thumbnail', NS.media)[0];
+  // Skip <atom:link rel="self"> style elements that share the local name
+  const link = children(item, 'link').find(el => el.namespaceURI !== NS.atom);
+
+  return {
+    title: childText(item, 'title'),
+    link: link ? link.textContent.trim() : '',
+    guid: childText(item, 'guid'),
+    published: childText(item, 'pubDate') || childText(item, 'date', NS.dc),
+    description: childText(item, 'description'),
+    html: childText(item, 'encoded', NS.content),
+    creator: childText(item, 'creator', NS.dc) || childText(item, 'author'),
+    tags: children(item, 'category').map(el => el.textContent.trim()),
+    enclosure: enclosure?.getAttribute('url') || thumbnail?.getAttribute('url') || '',
+  };
+}
+
+/**
+ * Read the fields of an Atom <entry> element into the same shape as readRssItem.
+ * @param {Element} entry - The <entry> element.
+ * @returns {object} Raw fields.
+ */
+function readAtomEntry(entry) {
+  const links = children(entry, 'link', NS.atom);
+  const alternate = links.find(el => (el.getAttribute('rel') || 'alternate') === 'alternate');
+  const enclosure = links.find(el =>
+    el.getAttribute('rel') === 'enclosure' && (el.getAttribute('type') || '').startsWith('image/')
+  );
+  const thumbnail = children(entry, 'thumbnail', NS.media)[0];
+  const author = children(entry, 'author', NS.atom)[0];
+  const summary = children(entry, 'summary', NS.atom)[0];
+
+  return {
+    title: atomTextToPlain(children(entry, 'title', NS.atom)[0]),
+    link: alternate?.getAttribute('href') || '',
+    guid: childText(entry, 'id', NS.atom),
+    published: childText(entry, 'published', NS.atom) || childText(entry, 'updated', NS.atom),
+    description: summary ? summary.textContent.trim() : '',
+    html: atomTextToHtml(children(entry, 'content', NS.atom)[0] || summary),
+    creator: author ? childText(author, 'name', NS.atom) : '',
+    tags: children(entry, 'category', NS.atom)
+      .map(el => el.getAttribute('label') || el.getAttribute('term') || ''),
+    enclosure: enclosure?.getAttribute('href') || thumbnail?.getAttribute('url') || '',
+  };
+}
+
+/**
+ * Apply a feed's tag mapping: renamed tags are replaced, tags mapped to null
+ * are dropped, and duplicates are removed.
+ * @param {string[]} tags - Raw tags from the feed item.
+ * @param {object} mapping - Lowercased source tag to target tag (or null).
+ * @returns {string[]} Mapped tags.
+ */
+function mapTags(tags, mapping) {
+  const mapped = tags.map(tag => {
+    const key = tag.toLowerCase();
+    return key in mapping ? mapping[key] : tag;
+  }).filter(Boolean);
+  return [...new Set(mapped)];
+}
+
+/**
+ * Parse a single RSS <item> or Atom <entry> element into a structured post object.
  * Sanitizes the HTML content with DOMPurify to prevent stored XSS.
- * @param {string} itemXml - The inner XML of one <item> element.
+ * @param {Element} itemEl - One <item> or <entry> element from extractItems.
+ * @param {object} feed - The feed config entry the item came from.
  * @returns {object} Parsed post with slug, title, content (sanitized), etc.
  */
-function parseItem(itemXml) {
-  const title = extractTag(itemXml, 'title');
-  const link = extractTag(itemXml, 'link');
-  const pubDate = extractTag(itemXml, 'pubDate');
-  const description = extractTag(itemXml, 'description');
-  const rawContent = extractTag(itemXml, 'content:encoded');
-  const creator = extractTag(itemXml, 'dc:creator');
-
-  // Sanitize HTML content from Substack to strip dangerous tags/attributes
-  const content = DOMPurify.sanitize(rawContent, {
-    ADD_TAGS: ['iframe'],
-    ADD_ATTR: ['target', 'allow', 'allowfullscreen', 'frameborder'],
-  });
+function parseItem(itemEl, feed) {
+  const fields = itemEl.localName === 'entry' ? readAtomEntry(itemEl) : readRssItem(itemEl);
 
-  // Extract categories/tags from <category> elements (may have CDATA wrappers)
-  const tags = [];
-  const catRegex = /<category[^>]*>(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?<\/category>/gi;
-  let catMatch;
-  while ((catMatch = catRegex.exec(itemXml)) !== null) {
-    const tag = catMatch[1].trim();
-    if (tag) tags.push(tag);
-  }
+  // Typeset math, then sanitize HTML content from the feed to strip dangerous tags/attributes
+  const content = DOMPurify.sanitize(renderHtmlMath(fields.html, window.document), SANITIZE_OPTIONS);
 
-  // Extract enclosure URL (RSS cover image), fall back to first <img> in content
-  const enclosureMatch = itemXml.match(/<enclosure[^>]+url=["']([^"']+)["']/i);
-  const coverImage = enclosureMatch ? enclosureMatch[1] : extractCoverImage(content);
+  // Enclosure/thumbnail is the cover image, fall back to first <img> in content
+  const coverImage = fields.enclosure || extractCoverImage(content);
 
+  const title = fields.title;
   const slug = slugify(title);
-  const date = pubDate ? new Date(pubDate).toISOString().split('T')[0] : '';
+  const date = normalizeDate(fields.published, '');
   const readTime = content ? estimateReadTime(content) : '';
 
   return {
     slug,
     title,
-    description,
+    description: fields.description,
     date,
-    link,
-    creator: creator || 'Shushank Singh',
-    tags,
+    link: fields.link,
+    guid: fields.guid || fields.link,
+    creator: fields.creator || feed.author,
+    tags: mapTags(fields.tags.filter(Boolean), feed.tags),
     readTime,
     coverImage,
+    source: feed.id,
+    publication: feed.name,
     content
   };
 }
 
 /**
- * Main build function — fetches RSS, parses posts, writes output files.
+ * Split a Markdown file into its YAML frontmatter and body.
+ * Frontmatter is the block between the leading --- delimiters.
+ * @param {string} text - The raw file contents.
+ * @returns {{ data: object, body: string }} Parsed frontmatter and remaining Markdown.
  */
-async function build() {
-  console.log(`Fetching Substack RSS: ${SUBSTACK_FEED_URL}`);
+function parseFrontmatter(text) {
+  const match = text.match(/^---\s*\r?\n([\s\S]*?)\r?\n---\s*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: text };
+  const data = parseYaml(match[1]) || {};
+  return { data, body: text.slice(match[0].length) };
+}
 
-  let xml;
+/**
+ * Normalize a frontmatter date (YAML may yield a string or Date) to YYYY-MM-DD.
+ * @param {string|Date|undefined} value - The raw frontmatter value.
+ * @param {string} fallback - Date to use when the value is missing or invalid.
+ * @returns {string} ISO date string, or the fallback.
+ */
+function normalizeDate(value, fallback) {
+  if (!value) return fallback;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? fallback : date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a local Markdown post into the same post object shape as parseItem.
+ * Filenames follow the notebook convention: YYYY-MM-DD_slug.md (date prefix optional).
+ * @param {string} filepath - Absolute path to the .md file.
+ * @returns {object} Parsed post with slug, title, content (sanitized), etc.
+ */
+function parseLocalPost(filepath) {
+  const { data, body } = parseFrontmatter(readFileSync(filepath, 'utf-8'));
+  const base = basename(filepath, '.md');
+  const nameMatch = base.match(/^(\d{4}-\d{2}-\d{2})_(.+)$/);
+  const fileDate = nameMatch ? nameMatch[1] : '';
+
+  const title = data.title ? String(data.title) : '';
+  const content = DOMPurify.sanitize(markdownWithMath(body, md => marked.parse(md)), SANITIZE_OPTIONS);
+  const tags = Array.isArray(data.tags)
+    ? data.tags.map(String)
+    : (data.tags ? String(data.tags).split(',').map(t => t.trim()).filter(Boolean) : []);
+
+  return {
+    slug: slugify(nameMatch ? nameMatch[2] : base),
+    title,
+    description: data.description ? String(data.description) : '',
+    date: normalizeDate(data.date, fileDate),
+    link: '',
+    guid: `local:${base}`,
+    creator: data.author ? String(data.author) : DEFAULT_CREATOR,
+    tags,
+    readTime: content ? estimateReadTime(content) : '',
+    coverImage: data.cover ? String(data.cover) : extractCoverImage(content),
+    source: 'local',
+    publication: '',
+    content
+  };
+}
+
+/**
+ * Parse every Markdown file in blog/posts/. Files that fail to parse are
+ * reported and skipped so one bad post cannot break the whole build.
+ * @returns {object[]} Parsed local posts.
+ */
+function collectLocalPosts() {
+  if (!existsSync(LOCAL_POSTS_DIR)) return [];
+
+  const posts = [];
+  const files = readdirSync(LOCAL_POSTS_DIR).filter(f => f.endsWith('.md')).sort();
+  for (const file of files) {
+    try {
+      posts.push(parseLocalPost(join(LOCAL_POSTS_DIR, file)));
+    } catch (err) {
+      console.error(`  Error processing ${file}:`, err.message);
+    }
+  }
+  return posts;
+}
+
+/**
+ * Read the previously written index, returning an empty array if missing or invalid.
+ * @returns {object[]} Existing index entries.
+ */
+function readExistingIndex() {
   try {
-    xml = await fetchURL(SUBSTACK_FEED_URL);
-  } catch (err) {
-    console.warn(`  Could not fetch RSS feed: ${err.message}`);
-    if (existsSync(OUTPUT_INDEX)) {
-      console.log('  Keeping existing _posts.json (fetch failed, using cached data).');
-    } else {
-      console.log('  Writing empty index.');
-      writeFileSync(OUTPUT_INDEX, '[]');
+    return JSON.parse(readFileSync(OUTPUT_INDEX, 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load the slug registry: post key to `{ slug, previous }`.
+ * @returns {object} The registry, or an empty object if none exists yet.
+ */
+function loadSlugRegistry() {
+  if (!existsSync(SLUG_REGISTRY)) return {};
+  return JSON.parse(readFileSync(SLUG_REGISTRY, 'utf-8'));
+}
+
+/**
+ * Registry key for a post or index entry: whichever of its GUID or link is
+ * already registered, else its GUID, else its link. Checking both keeps
+ * entries registered by link (before GUIDs were indexed) on the same slug.
+ * @param {object} registry - The slug registry.
+ * @param {object} entry - Post or index entry.
+ * @returns {string} The key, or empty string if the entry has neither.
+ */
+function registryKey(registry, entry) {
+  const candidates = [entry.guid, entry.link].filter(Boolean);
+  return candidates.find(key => registry[key]) || candidates[0] || '';
+}
+
+/**
+ * Resolve a post's slug through the registry. Registered posts keep their
+ * pinned slug; new posts claim their desired slug, or the first free numeric
+ * suffix when it is taken by another post (current or previous slug).
+ * @param {object} registry - The slug registry (mutated for new posts).
+ * @param {string} key - The post's registry key.
+ * @param {string} desired - Slug derived from the title or filename.
+ * @returns {string} The slug to publish under.
+ */
+function resolveSlug(registry, key, desired) {
+  if (registry[key]) return registry[key].slug;
+
+  const taken = new Set(Object.values(registry).flatMap(e => [e.slug, ...(e.previous || [])]));
+  let slug = desired;
+  for (let n = 2; taken.has(slug); n++) slug = `${desired}-${n}`;
+  if (slug !== desired) console.warn(`  Slug "${desired}" is taken; using "${slug}".`);
+
+  registry[key] = { slug, previous: [] };
+  return slug;
+}
+
+/**
+ * Record slug changes made in the registry since the last build: any post
+ * whose registered slug differs from its slug in the previous index gets the
+ * old slug added to `previous`, and its old rendered file is removed so the
+ * redirect takes effect.
+ * @param {object} registry - The slug registry (mutated).
+ * @param {object[]} previousIndex - The index written by the last build.
+ */
+function recordRenames(registry, previousIndex) {
+  for (const entry of previousIndex) {
+    const record = registry[registryKey(registry, entry)];
+    if (!record || record.slug === entry.slug) continue;
+
+    record.previous = [...new Set([...(record.previous || []), entry.slug])];
+    const oldFile = join(OUTPUT_RENDERED, `${entry.slug}.json`);
+    const newFile = join(OUTPUT_RENDERED, `${record.slug}.json`);
+    if (existsSync(oldFile)) {
+      // Move the rendered post so carried-over entries still resolve; fresh posts overwrite it
+      if (!existsSync(newFile)) {
+        const data = JSON.parse(readFileSync(oldFile, 'utf-8'));
+        data.meta.slug = record.slug;
+        writeFileSync(newFile, JSON.stringify(data, null, 2));
+      }
+      unlinkSync(oldFile);
     }
-    return;
+    console.log(`  Renamed: ${entry.slug} -> ${record.slug}`);
   }
+}
 
-  const items = extractItems(xml);
-  console.log(`  Found ${items.length} post(s) in feed.`);
+/**
+ * Build the redirect map from every registered post's previous slugs. Slugs
+ * that are live again (claimed by another post) are not redirected.
+ * @param {object} registry - The slug registry.
+ * @param {Set<string>} liveSlugs - Slugs published by this build.
+ * @returns {object} Old slug to current slug, sorted by old slug.
+ */
+function buildRedirects(registry, liveSlugs) {
+  const redirects = {};
+  for (const { slug, previous = [] } of Object.values(registry)) {
+    for (const old of previous) {
+      if (old !== slug && !liveSlugs.has(old)) redirects[old] = slug;
+    }
+  }
+  return Object.fromEntries(Object.entries(redirects).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Write a JSON file only when its contents change, keeping tracked files stable.
+ * @param {string} path - Output path.
+ * @param {*} data - JSON-serializable data.
+ * @returns {boolean} True if the file was written.
+ */
+function writeJsonIfChanged(path, data) {
+  const output = JSON.stringify(data, null, 2);
+  if (existsSync(path) && readFileSync(path, 'utf-8') === output) return false;
+  writeFileSync(path, output);
+  return true;
+}
 
-  if (items.length === 0) {
-    writeFileSync(OUTPUT_INDEX, '[]');
-    console.log('  No posts found. Empty index written.');
-    return;
+/**
+ * Parse one feed into posts, or carry its previous index entries forward when
+ * the feed is unchanged (304), unavailable or unparseable.
+ * @param {object} feed - Feed config entry.
+ * @param {object} options - loadFeed options (fixture, offline).
+ * @param {object[]} previousIndex - The index written by the last build.
+ * @returns {Promise<{ posts: object[], staleEntries: object[] }>}
+ */
+async function collectFeedPosts(feed, options, previousIndex) {
+  console.log(`Feed "${feed.id}": ${options.fixture || feed.url}`);
+  // Entries written before multi-feed support have no source and came from Substack
+  const previousEntries = () => previousIndex
+    .filter(entry => (entry.source || 'substack') === feed.id)
+    .map(entry => ({ ...entry, source: feed.id, publication: feed.name }));
+
+  const loaded = await loadFeed(feed.url, options);
+  console.log(`  Feed data: ${loaded.origin} (${loaded.detail})`);
+
+  if (loaded.origin === 'not-modified' && existsSync(OUTPUT_INDEX)) {
+    // 304 — the feed is unchanged, so its rendered posts are already current
+    const staleEntries = previousEntries();
+    console.log(`  Feed not modified; keeping ${staleEntries.length} post(s).`);
+    return { posts: [], staleEntries };
+  }
+  if (!loaded.xml) {
+    const staleEntries = previousEntries();
+    console.log(`  Keeping ${staleEntries.length} post(s) from existing _posts.json.`);
+    return { posts: [], staleEntries };
   }
 
-  const index = [];
+  let items;
+  try {
+    items = extractItems(loaded.xml);
+  } catch (err) {
+    console.error(`  Could not parse feed: ${err.message}`);
+    const staleEntries = previousEntries();
+    console.log(`  Keeping ${staleEntries.length} post(s) from existing _posts.json.`);
+    return { posts: [], staleEntries };
+  }
+  console.log(`  Found ${items.length} post(s) in feed.`);
 
-  for (const itemXml of items) {
+  const posts = [];
+  for (const itemEl of items) {
     try {
-      const post = parseItem(itemXml);
-      if (!post.title || !post.slug) continue;
-
-      // Write rendered post JSON
-      writeFileSync(
-        join(OUTPUT_RENDERED, `${post.slug}.json`),
-        JSON.stringify({
-          meta: {
-            slug: post.slug,
-            title: post.title,
-            description: post.description,
-            date: post.date,
-            link: post.link,
-            creator: post.creator,
-            tags: post.tags,
-            readTime: post.readTime,
-            coverImage: post.coverImage
-          },
-          content: post.content
-        }, null, 2)
-      );
-
-      // Add to index (without full content)
-      index.push({
-        slug: post.slug,
-        title: post.title,
-        description: post.description,
-        date: post.date,
-        link: post.link,
-        creator: post.creator,
-        tags: post.tags,
-        readTime: post.readTime,
-        coverImage: post.coverImage
-      });
-
-      console.log(`  Processed: ${post.title} -> ${post.slug}`);
+      posts.push(parseItem(itemEl, feed));
     } catch (err) {
       console.error(`  Error processing item:`, err.message);
     }
   }
+  return { posts, staleEntries: [] };
+}
+
+/**
+ * Build the blog — fetches all feeds, reads local posts, writes output files.
+ * @param {object} [options]
+ * @param {string[]} [options.feedFiles] - Feed fixtures (`[<id>=]<path>`), as for --feed-file.
+ * @param {boolean} [options.offline] - Skip the network and use cached feeds only.
+ * @param {boolean} [options.verbose] - Log per-post progress.
+ * @returns {Promise<{ posts: number, feeds: number, changed: boolean }>} Summary of the build.
+ */
+export async function buildBlog({ feedFiles = [], offline = false, verbose = false } = {}) {
+  const log = verbose ? console.log : () => {};
+  mkdirSync(OUTPUT_RENDERED, { recursive: true });
+
+  const feeds = loadFeedConfig();
+  const fixtures = resolveFixtures(feeds, feedFiles);
+  const previousIndex = readExistingIndex();
+  const registry = loadSlugRegistry();
+  recordRenames(registry, previousIndex);
+
+  const posts = [];
+  // Index entries carried over from the previous build (feed unchanged or unavailable)
+  const staleEntries = [];
+
+  for (const feed of feeds) {
+    const options = {
+      fixture: fixtures.get(feed.id) || '',
+      // With any fixture given, other feeds stay offline so the build is reproducible
+      offline: offline || fixtures.size > 0,
+    };
+    const result = await collectFeedPosts(feed, options, previousIndex);
+    posts.push(...result.posts);
+    staleEntries.push(...result.staleEntries);
+  }
+
+  const localPosts = collectLocalPosts();
+  console.log(`Found ${localPosts.length} local post(s) in blog/posts/.`);
+  posts.push(...localPosts);
+
+  const index = [];
+  // GUIDs and links already in the index, to drop the same post syndicated twice
+  const seen = new Set();
+  const isDuplicate = entry =>
+    (entry.guid && seen.has(entry.guid)) || (entry.link && seen.has(entry.link));
+  const remember = entry => {
+    if (entry.guid) seen.add(entry.guid);
+    if (entry.link) seen.add(entry.link);
+  };
+
+  for (const post of posts) {
+    if (!post.title || !post.slug) continue;
+
+    if (isDuplicate(post)) {
+      console.warn(`  Skipping duplicate post "${post.title}" (${post.source}).`);
+      continue;
+    }
+    post.slug = resolveSlug(registry, registryKey(registry, post), post.slug);
+
+    const meta = {
+      slug: post.slug,
+      title: post.title,
+      description: post.description,
+      date: post.date,
+      link: post.link,
+      guid: post.guid,
+      creator: post.creator,
+      tags: post.tags,
+      readTime: post.readTime,
+      coverImage: post.coverImage,
+      source: post.source,
+      publication: post.publication
+    };
+
+    // Write rendered post JSON and add to index (without full content)
+    writeFileSync(
+      join(OUTPUT_RENDERED, `${post.slug}.json`),
+      JSON.stringify({ meta, content: post.content }, null, 2)
+    );
+    index.push(meta);
+    remember(meta);
+
+    log(`  Processed: ${post.title} -> ${post.slug} (${post.source})`);
+  }
+
+  // Carried-over entries fill in behind fresh posts, skipping any now duplicated
+  for (const entry of staleEntries) {
+    if (isDuplicate(entry)) continue;
+    const key = registryKey(registry, entry);
+    // Pin entries that predate the registry to the slug they were published under
+    if (key && !registry[key]) registry[key] = { slug: entry.slug, previous: [] };
+    const slug = key ? registry[key].slug : entry.slug;
+    if (index.some(e => e.slug === slug)) continue;
+    index.push({ ...entry, slug });
+    remember(entry);
+  }
 
   // Sort newest first
   index.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
 
-  writeFileSync(OUTPUT_INDEX, JSON.stringify(index, null, 2));
-  console.log(`\nBlog build complete: ${index.length} post(s) processed.`);
-}
+  // Registry keys sorted so the committed file diffs cleanly
+  const sortedRegistry = Object.fromEntries(
+    Object.entries(registry).sort(([a], [b]) => a.localeCompare(b))
+  );
+  if (writeJsonIfChanged(SLUG_REGISTRY, sortedRegistry)) console.log('  Updated blog/slugs.json.');
 
-build();
+  const redirects = buildRedirects(registry, new Set(index.map(e => e.slug)));
+  writeJsonIfChanged(OUTPUT_REDIRECTS, redirects);
+  log(`  ${Object.keys(redirects).length} redirect(s) in _redirects.json.`);
+
+  const changed = writeJsonIfChanged(OUTPUT_INDEX, index);
+  console.log(changed
+    ? `[build-blog] Processed ${index.length} post(s) from ${feeds.length} feed(s)`
+    : `[build-blog] ${index.length} post(s), index unchanged`);
+  return { posts: index.length, feeds: feeds.length, changed };
+}
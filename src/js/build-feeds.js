@@ -0,0 +1,276 @@
+/**
+ * @file Feed Builder — publishes RSS 2.0, Atom 1.0 and JSON Feed 1.1 for the site.
+ * @description Reads the generated blog and tutorial indexes plus their rendered
+ * content and writes subscription feeds under public/feeds/: a combined feed and
+ * one per content type, each in a full-content and a summary variant. Pages
+ * advertise the feeds with <link rel="alternate"> tags. Run through build.js
+ * (step "feeds"), after the blog and notebook steps.
+ *
+ * Inputs:  public/blog/_posts.json + _rendered/, public/tutorials/_notebooks.json + _rendered/
+ * Outputs: public/feeds/<scope>.xml (RSS), <scope>.atom.xml (Atom), <scope>.json (JSON Feed),
+ *          and <scope>-summary.* variants, where <scope> is all, blog or tutorials
+ *
+ * Item ids are tag URIs built from a key that survives slug renames, so feed
+ * readers don't show a renamed item again as new: a post's source GUID (or
+ * link; `local:<name>` for local posts, as in blog/slugs.json), and the slug a
+ * tutorial was first published under (its first `aliases` entry, or its slug).
+ */
+
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { SITE_URL, postUrl, tutorialUrl } from './urls.js';
+import { PUBLIC, readJsonSafe, htmlToText, renderNotebookHtml } from './site-content.js';
+
+const OUTPUT_DIR = join(PUBLIC, 'feeds');
+
+const SITE_NAME = 'sushi.lab';
+const SITE_AUTHOR = 'Shushank Singh';
+const SITE_DESCRIPTION = 'A living archive of explorations, experiments, and everything in between.';
+
+/** Tagging entity for item ids (RFC 4151): the site's host and a date it was held */
+const TAG_AUTHORITY = `${new URL(SITE_URL).host},2026`;
+
+/** Newest items kept per feed */
+const FEED_LIMIT = 50;
+
+/** Feeds per content scope: title suffix and which item types they include */
+const SCOPES = {
+  all: { title: SITE_NAME, types: ['post', 'tutorial'], home: '/' },
+  blog: { title: `${SITE_NAME} — Blog`, types: ['post'], home: '/blog/' },
+  tutorials: { title: `${SITE_NAME} — Tutorials`, types: ['tutorial'], home: '/tutorials/' },
+};
+
+/**
+ * Escape text for XML element content and attribute values.
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build an item's permanent id.
+ * @param {string} type - Item type (post or tutorial).
+ * @param {string} key - Key that does not change when the item's slug does.
+ * @returns {string} Tag URI.
+ */
+function itemId(type, key) {
+  return `tag:${TAG_AUTHORITY}:${type}/${encodeURI(key).replace(/[#[\]]/g, encodeURIComponent)}`;
+}
+
+/**
+ * Map each tutorial to the slug it was first published under.
+ * @returns {Map<string, string>} Current slug to its first alias (tutorials with aliases only).
+ */
+function originalTutorialSlugs() {
+  const original = new Map();
+  // Aliases keep the order a notebook lists them in
+  for (const [alias, slug] of Object.entries(readJsonSafe(join(PUBLIC, 'tutorials', '_redirects.json'), {}))) {
+    if (!original.has(slug)) original.set(slug, alias);
+  }
+  return original;
+}
+
+/**
+ * Turn a YYYY-MM-DD date into a Date at midnight UTC (epoch if missing).
+ * @param {string} date - Date string.
+ * @returns {Date} Parsed date.
+ */
+function parseDate(date) {
+  const parsed = date ? new Date(`${date}T00:00:00Z`) : new Date(0);
+  return isNaN(parsed) ? new Date(0) : parsed;
+}
+
+/**
+ * Make site-relative src/href URLs absolute, since feed readers show content
+ * away from the site (notebook images are published under /tutorials/_assets/).
+ * @param {string} html - Content HTML.
+ * @returns {string} HTML with absolute URLs.
+ */
+function absolutizeUrls(html) {
+  return html.replace(/\b(src|href)="\/(?!\/)/g, `$1="${SITE_URL}/`);
+}
+
+/**
+ * Collect feed items for blog posts.
+ * @returns {object[]} Items with type, id, url, title, summary, html, date, author, tags.
+ */
+function collectPostItems() {
+  const posts = readJsonSafe(join(PUBLIC, 'blog', '_posts.json'), []);
+  return posts.filter(p => p.slug).map(post => {
+    const rendered = readJsonSafe(join(PUBLIC, 'blog', '_rendered', `${post.slug}.json`), {});
+    const url = `${SITE_URL}${postUrl(post.slug)}`;
+    return {
+      type: 'post',
+      id: itemId('post', post.guid || post.link || post.slug),
+      url,
+      title: post.title,
+      summary: htmlToText(post.description),
+      html: absolutizeUrls(rendered.content || ''),
+      date: parseDate(post.date),
+      author: post.creator || SITE_AUTHOR,
+      tags: post.tags || [],
+    };
+  });
+}
+
+/**
+ * Collect feed items for tutorials; notebook cells are rendered to static HTML.
+ * @returns {object[]} Items with type, id, url, title, summary, html, date, author, tags.
+ */
+function collectTutorialItems() {
+  const notebooks = readJsonSafe(join(PUBLIC, 'tutorials', '_notebooks.json'), []);
+  const original = originalTutorialSlugs();
+  return notebooks.filter(t => t.slug).map(nb => {
+    const rendered = readJsonSafe(join(PUBLIC, 'tutorials', '_rendered', `${nb.slug}.json`), {});
+    const url = `${SITE_URL}${tutorialUrl(nb.slug)}`;
+    return {
+      type: 'tutorial',
+      id: itemId('tutorial', original.get(nb.slug) || nb.slug),
+      url,
+      title: nb.title,
+      summary: nb.description || '',
+      html: absolutizeUrls(renderNotebookHtml(rendered.cells || [])),
+      date: parseDate(nb.date),
+      author: SITE_AUTHOR,
+      tags: nb.tags || [],
+    };
+  });
+}
+
+/**
+ * Build an RSS 2.0 document.
+ * @param {object} feed - Feed info ({ title, home, self }).
+ * @param {object[]} items - Feed items, newest first.
+ * @param {boolean} full - Include full content (content:encoded).
+ * @returns {string} XML string.
+ */
+function buildRss(feed, items, full) {
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <description>${escapeXml(item.summary)}</description>${full ? `
+      <content:encoded>${escapeXml(item.html)}</content:encoded>` : ''}
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.home)}</link>
+    <description>${escapeXml(SITE_DESCRIPTION)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(feed.self)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${entries}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Build an Atom 1.0 document.
+ * @param {object} feed - Feed info ({ title, home, self, updated }).
+ * @param {object[]} items - Feed items, newest first.
+ * @param {boolean} full - Include full content (<content>) besides the summary.
+ * @returns {string} XML string.
+ */
+function buildAtom(feed, items, full) {
+  const entries = items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <summary>${escapeXml(item.summary)}</summary>${full ? `
+    <content type="html">${escapeXml(item.html)}</content>` : ''}
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(SITE_DESCRIPTION)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.home)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.self)}"/>
+  <id>${escapeXml(feed.self)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(SITE_AUTHOR)}</name></author>
+${entries}
+</feed>
+`;
+}
+
+/**
+ * Build a JSON Feed 1.1 document.
+ * @param {object} feed - Feed info ({ title, home, self }).
+ * @param {object[]} items - Feed items, newest first.
+ * @param {boolean} full - Include full content (content_html); otherwise the summary as text.
+ * @returns {string} JSON string.
+ */
+function buildJsonFeed(feed, items, full) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.home,
+    feed_url: feed.self,
+    description: SITE_DESCRIPTION,
+    language: 'en',
+    authors: [{ name: SITE_AUTHOR }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      ...(full ? { content_html: item.html } : { content_text: item.summary }),
+      date_published: item.date.toISOString(),
+      authors: [{ name: item.author }],
+      tags: item.tags,
+    })),
+  }, null, 2);
+}
+
+/** Output formats: file suffix and document builder */
+const FORMATS = [
+  { ext: '.xml', build: buildRss },
+  { ext: '.atom.xml', build: buildAtom },
+  { ext: '.json', build: buildJsonFeed },
+];
+
+/**
+ * Write every scope × variant × format combination of the site feeds.
+ * @returns {{ feeds: number, items: number }} Summary of the build.
+ */
+export function buildFeeds() {
+  if (!existsSync(OUTPUT_DIR)) mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const allItems = [...collectPostItems(), ...collectTutorialItems()]
+    .sort((a, b) => b.date - a.date);
+
+  let count = 0;
+  for (const [scope, { title, types, home }] of Object.entries(SCOPES)) {
+    const items = allItems.filter(item => types.includes(item.type)).slice(0, FEED_LIMIT);
+    const updated = items.length ? items[0].date : new Date(0);
+
+    for (const full of [true, false]) {
+      const name = full ? scope : `${scope}-summary`;
+      for (const { ext, build: buildFeed } of FORMATS) {
+        const feed = { title, home: `${SITE_URL}${home}`, self: `${SITE_URL}/feeds/${name}${ext}`, updated };
+        writeFileSync(join(OUTPUT_DIR, `${name}${ext}`), buildFeed(feed, items, full));
+        count++;
+      }
+    }
+  }
+
+  console.log(`[build-feeds] Wrote ${count} feeds for ${allItems.length} item(s)`);
+  return { feeds: count, items: allItems.length };
+}
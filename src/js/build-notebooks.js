@@ -1,29 +1,81 @@
 /**
  * @file Notebook Build Script — processes Jupyter .ipynb files into renderable JSON.
  * @description Scans tutorials/notebooks/ for .ipynb files, extracts frontmatter
- * metadata from the first markdown cell, processes code/markdown cells, sanitizes
- * any HTML outputs with DOMPurify, and writes per-notebook JSON to
+ * metadata from the first markdown cell, renders markdown cells to HTML (GFM,
+ * with heading IDs), highlights code cells, typesets $…$ / $$…$$ math and LaTeX
+ * outputs with KaTeX, sanitizes all HTML with DOMPurify, and writes per-notebook JSON to
  * tutorials/_rendered/ plus a combined index to tutorials/_notebooks.json.
  *
- * Inputs:  tutorials/notebooks/*.ipynb
- * Outputs: tutorials/_notebooks.json (index), tutorials/_rendered/<slug>.json (per-notebook)
+ * Run through build.js (step "notebooks"); watch mode rebuilds single notebooks
+ * with buildNotebook().
  *
- * Frontmatter format (YAML in first markdown cell):
+ * Inputs:  tutorials/notebooks/*.ipynb, tutorials/launch.json (Colab/Binder links),
+ *          tutorials/paths.json (learning paths, see notebook-series.js),
+ *          tutorials/checks.json (check severities, see notebook-checks.js)
+ * Outputs: tutorials/_notebooks.json (index), tutorials/_rendered/<slug>.json (per-notebook),
+ *          tutorials/_redirects.json (old slug -> current slug, from `aliases`),
+ *          tutorials/_assets/<hash>.<ext> (images from outputs; unused ones are pruned),
+ *          tutorials/_downloads/<slug>.{ipynb,py,md} (source downloads, see notebook-exports.js),
+ *          tutorials/_checks.json (quality check report, see notebook-checks.js)
+ * Each rendered notebook in a series or learning path also gets `meta.series` /
+ * `meta.paths` with its position and prev/next links, rewritten on every build.
+ *
+ * Frontmatter format (YAML in first markdown cell; schema in notebook-frontmatter.js):
  *   ---
  *   title: "My Tutorial"
  *   description: "A short description"
- *   tags: ["Python", "NumPy"]
- *   difficulty: "Beginner"
+ *   tags:
+ *     - Python
+ *     - NumPy
+ *   difficulty: Beginner
  *   duration: "30 min"
+ *   aliases: ["old-slug"]   # slugs this notebook was published under before a rename
+ *                           # (first-published slug first: it keeps the feed item id)
+ *   series: "Linear Algebra"   # tutorials in the same series get prev/next links
+ *   order: 2                   # position in the series
+ *                              # (the older `series: { name, part }` form still works)
+ *   packages: [numpy, matplotlib]   # loaded by run mode (Pyodide) before the first cell
  *   ---
+ * Unknown or invalid keys are dropped with a warning naming the notebook.
+ *
+ * Cell tags (cell metadata `tags`; `remove_cell` and `remove-cell` are the same):
+ *   remove-cell     drop the cell
+ *   remove-input    drop the code, keep the output
+ *   remove-output   drop the output, keep the code
+ *   hide-input      show the code collapsed behind a disclosure widget
+ *   hide-output     show the output collapsed behind a disclosure widget
+ *   hide-cell       both of the above
+ *   output_scroll   cap the output's height and scroll it
+ * JupyterLab's collapsed input/output (metadata.jupyter.source_hidden /
+ * outputs_hidden) count as hide-input / hide-output, and the classic Notebook's
+ * `scrolled: true` as output_scroll.
+ *
+ * Jupyter's slideshow metadata (metadata.slideshow.slide_type: slide, subslide,
+ * fragment, skip or notes) is kept as the cell's `slide`, for slides mode
+ * (?mode=slides, see notebook-slides.js). When a removed cell starts a slide,
+ * the next shown cell starts it instead.
+ *
+ * Images in markdown cells — pasted ones (`attachment:name.png`, stored in the
+ * cell's attachments) and files next to the notebook (`./figures/x.png`) — are
+ * published to tutorials/_assets/ and their URLs rewritten. Missing attachments
+ * and files are reported as warnings.
  */
 
-import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
-import { join, basename } from 'path';
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync, unlinkSync } from 'fs';
+import { join, basename, resolve, sep } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { JSDOM } from 'jsdom';
 import createDOMPurify from 'dompurify';
+import { readJsonSafe } from './site-content.js';
+import { parseFrontmatter, validateFrontmatter } from './notebook-frontmatter.js';
+import { renderLatex } from './render-math.js';
+import { createMarkdownRenderer } from './render-markdown.js';
+import { highlightCell, languageLabel } from './render-code.js';
+import { IMAGE_EXTENSIONS, writeImageAsset, publishImageFile, pruneAssets } from './notebook-assets.js';
+import { DOWNLOADS_DIR, writeExports, launchLinks } from './notebook-exports.js';
+import { buildSeriesNavigation, writeSeriesNavigation } from './notebook-series.js';
+import { readChecksConfig, checkNotebook, processingIssue, buildChecksReport } from './notebook-checks.js';
 
 // DOMPurify needs a DOM window in Node.js — create one via jsdom
 const window = new JSDOM('').window;
@@ -36,49 +88,26 @@ const ROOT = join(__dirname, '..', '..');
 const NOTEBOOKS_DIR = join(ROOT, 'tutorials', 'notebooks');
 const OUTPUT_INDEX = join(ROOT, 'public', 'tutorials', '_notebooks.json');
 const OUTPUT_RENDERED = join(ROOT, 'public', 'tutorials', '_rendered');
-
-// Ensure output directories exist
-if (!existsSync(OUTPUT_RENDERED)) {
-  mkdirSync(OUTPUT_RENDERED, { recursive: true });
-}
+const OUTPUT_REDIRECTS = join(ROOT, 'public', 'tutorials', '_redirects.json');
+const OUTPUT_CHECKS = join(ROOT, 'public', 'tutorials', '_checks.json');
+const LAUNCH_CONFIG = join(ROOT, 'tutorials', 'launch.json');
+const PATHS_CONFIG = join(ROOT, 'tutorials', 'paths.json');
+const CHECKS_CONFIG = join(ROOT, 'tutorials', 'checks.json');
 
 /**
- * Parse YAML-like frontmatter from the first markdown cell's source.
- * Looks for content between --- delimiters, extracts key: value pairs.
- * Handles quoted strings and JSON arrays (e.g. tags: ["a", "b"]).
- *
- * @param {string|string[]} source - The cell source (string or array of lines).
- * @returns {object} Parsed metadata object.
- */
-function parseFrontmatter(source) {
-  const text = Array.isArray(source) ? source.join('') : source;
-  // Match content between opening and closing --- delimiters
-  const match = text.match(/^---\s*\n([\s\S]*?)\n---/);
-  if (!match) return {};
-
-  const meta = {};
-  const lines = match[1].split('\n');
-  for (const line of lines) {
-    // Match key: value pairs (key is word chars only)
-    const kv = line.match(/^(\w+)\s*:\s*(.+)$/);
-    if (!kv) continue;
-    const key = kv[1].trim();
-    let value = kv[2].trim();
-    // Remove surrounding quotes (single or double)
-    if ((value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))) {
-      value = value.slice(1, -1);
-    }
-    // Parse JSON arrays like ["a", "b"]
-    if (value.startsWith('[') && value.endsWith(']')) {
-      try {
-        value = JSON.parse(value);
-      } catch {
-        // Leave as string if JSON parse fails
-      }
-    }
-    meta[key] = value;
+ * Parse and validate a notebook's frontmatter, warning about every dropped key.
+ * @param {string} source - First cell source, starting with ---.
+ * @param {string} filename - Notebook filename, named in warnings.
+ * @returns {object} Typed frontmatter (see notebook-frontmatter.js for the schema).
+ */
+function readFrontmatter(source, filename) {
+  const { data, error } = parseFrontmatter(source);
+  if (error) {
+    console.warn(`  ${filename}: frontmatter ignored — ${error}`);
+    return {};
   }
+  const { meta, warnings } = validateFrontmatter(data);
+  for (const warning of warnings) console.warn(`  ${filename}: frontmatter ${warning}`);
   return meta;
 }
 
@@ -97,92 +126,398 @@ function parseFilename(filename) {
   return { date: '', slug: base };
 }
 
+/**
+ * Join a notebook string field that may be stored as an array of lines.
+ * @param {string|string[]} value - Raw nbformat value.
+ * @returns {string} Joined string.
+ */
+function joinSource(value) {
+  return Array.isArray(value) ? value.join('') : (value || '');
+}
+
+/**
+ * Publish a base64 image from a MIME bundle as a hashed asset (see
+ * notebook-assets.js). A display size set by the kernel in the output metadata
+ * (e.g. for retina figures) wins over the pixel size.
+ * @param {string} mime - Image MIME type.
+ * @param {string|string[]} value - Base64 data from the bundle.
+ * @param {object} metadata - Output metadata (MIME type to display options).
+ * @returns {{ src: string, width?: number, height?: number }} Asset URL and size.
+ */
+function imageAsset(mime, value, metadata) {
+  const asset = writeImageAsset(Buffer.from(joinSource(value).trim(), 'base64'), IMAGE_EXTENSIONS[mime]);
+  const { width, height } = metadata[mime] || {};
+  if (width > 0 && height > 0) return { ...asset, width: Math.round(width), height: Math.round(height) };
+  if (width > 0 && asset.width) {
+    return { ...asset, width: Math.round(width), height: Math.round(asset.height * width / asset.width) };
+  }
+  return asset;
+}
+
+/**
+ * Build a chart output, keeping the bundle's PNG (if any) as a fallback for
+ * when the chart runtime can't load.
+ * @param {string} chart - Chart library ("plotly" or "vegalite").
+ * @param {object} spec - Chart spec from the bundle.
+ * @param {object} bundle - The whole MIME bundle.
+ * @param {object} metadata - Output metadata.
+ * @returns {object} Typed chart output.
+ */
+function chartOutput(chart, spec, bundle, metadata) {
+  const png = bundle['image/png'];
+  return {
+    type: 'chart',
+    chart,
+    spec,
+    fallback: png ? imageAsset('image/png', png, metadata) : null,
+  };
+}
+
+/** DOMPurify options for rendered Markdown: keep KaTeX's MathML wrapper */
+const MARKDOWN_SANITIZE = { ADD_TAGS: ['semantics', 'annotation'], ADD_ATTR: ['encoding'] };
+
+/**
+ * Render a markdown cell or output to sanitized HTML (see render-markdown.js).
+ * The source is kept for search and plain-text exports.
+ * @param {string} source - Markdown source.
+ * @param {function(string): string} renderMarkdown - The notebook's Markdown renderer.
+ * @returns {{ source: string, html: string }} Source and rendered HTML.
+ */
+function renderMarkdownSource(source, renderMarkdown) {
+  return { source, html: DOMPurify.sanitize(renderMarkdown(source), MARKDOWN_SANITIZE) };
+}
+
+/**
+ * MIME types we can display, richest first (interactive charts, then the order
+ * nbconvert uses). Each turns the bundle's value (given the whole bundle, the
+ * output metadata and the notebook's Markdown renderer too) into a typed output
+ * for the rendered JSON.
+ */
+const MIME_RENDERERS = [
+  ['application/vnd.plotly.v1+json', (...args) => chartOutput('plotly', ...args)],
+  ['application/vnd.vegalite.v6+json', (...args) => chartOutput('vegalite', ...args)],
+  ['application/vnd.vegalite.v5+json', (...args) => chartOutput('vegalite', ...args)],
+  ['application/vnd.vegalite.v4+json', (...args) => chartOutput('vegalite', ...args)],
+  // Sanitize HTML output from notebook execution to prevent XSS
+  ['text/html', value => ({ type: 'html', html: DOMPurify.sanitize(joinSource(value)) })],
+  ['text/markdown', (value, _bundle, _metadata, renderMarkdown) => ({
+    type: 'markdown',
+    ...renderMarkdownSource(joinSource(value), renderMarkdown),
+  })],
+  ['text/latex', value => ({ type: 'latex', source: joinSource(value), html: renderLatex(joinSource(value)) })],
+  ['image/svg+xml', value => ({
+    type: 'svg',
+    svg: DOMPurify.sanitize(joinSource(value), { USE_PROFILES: { svg: true, svgFilters: true } }),
+  })],
+  ['image/png', (value, _bundle, metadata) => ({ type: 'image', ...imageAsset('image/png', value, metadata) })],
+  ['image/jpeg', (value, _bundle, metadata) => ({ type: 'image', ...imageAsset('image/jpeg', value, metadata) })],
+  ['image/gif', (value, _bundle, metadata) => ({ type: 'image', ...imageAsset('image/gif', value, metadata) })],
+  ['application/json', value => ({ type: 'json', data: value })],
+  ['text/plain', value => ({ type: 'text', text: joinSource(value) })],
+];
+
+/**
+ * Pick the richest displayable representation from a MIME bundle.
+ * @param {object} data - Output `data` bundle (MIME type to value).
+ * @param {object} metadata - Output metadata (MIME type to display options).
+ * @param {function(string): string} renderMarkdown - The notebook's Markdown renderer.
+ * @returns {object|null} Typed output, or null if no type is supported.
+ */
+function renderMimeBundle(data, metadata, renderMarkdown) {
+  for (const [mime, render] of MIME_RENDERERS) {
+    if (data[mime] !== undefined) return render(data[mime], data, metadata, renderMarkdown);
+  }
+  return null;
+}
+
+/**
+ * Join consecutive writes to the same stream (stdout/stderr), as Jupyter shows
+ * them, so a progress bar redrawn over many writes collapses as one.
+ * @param {object[]} outputs - Raw nbformat outputs.
+ * @returns {object[]} Outputs with adjacent same-stream writes merged.
+ */
+function mergeStreams(outputs) {
+  const merged = [];
+  for (const output of outputs) {
+    const prev = merged[merged.length - 1];
+    if (output.output_type === 'stream' && prev?.output_type === 'stream' && prev.name === output.name) {
+      merged[merged.length - 1] = { ...prev, text: joinSource(prev.text) + joinSource(output.text) };
+    } else {
+      merged.push(output);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Convert one notebook output (stream, rich display or error) to a typed output.
+ * @param {object} output - Raw nbformat output.
+ * @param {function(string): string} renderMarkdown - The notebook's Markdown renderer.
+ * @returns {object|null} Typed output, or null if it has nothing to show.
+ */
+function processOutput(output, renderMarkdown) {
+  if (output.output_type === 'stream') {
+    return { type: 'text', text: joinSource(output.text) };
+  }
+  if (output.output_type === 'execute_result' || output.output_type === 'display_data') {
+    return renderMimeBundle(output.data || {}, output.metadata || {}, renderMarkdown);
+  }
+  if (output.output_type === 'error') {
+    return {
+      type: 'error',
+      ename: output.ename || '',
+      evalue: output.evalue || '',
+      traceback: (output.traceback || []).join('\n')
+    };
+  }
+  return null;
+}
+
+/** Image references in Markdown (![alt](url "title")) and HTML (<img src="url">) */
+const IMAGE_REF_PATTERN = /(!\[[^\]]*\]\(\s*<?)([^)\s>]+)(>?(?:\s+["'][^"']*["'])?\s*\))|(<img\b[^>]*?\bsrc\s*=\s*["'])([^"']+)(["'])/gi;
+
+/**
+ * Publish the image a markdown cell refers to, if it is a cell attachment or a
+ * file relative to the notebook.
+ * @param {string} url - Image URL as written in the cell.
+ * @param {object} attachments - The cell's attachments (name to MIME bundle).
+ * @param {string} notebookPath - Absolute path to the notebook.
+ * @param {function(string): void} warn - Reports a problem with the notebook.
+ * @returns {string|null} Published asset URL, or null to leave the URL as is.
+ */
+function resolveImageUrl(url, attachments, notebookPath, warn) {
+  if (url.startsWith('attachment:')) {
+    const name = decodeURIComponent(url.slice('attachment:'.length));
+    const bundle = attachments[name] || {};
+    const mime = Object.keys(bundle).find(type => IMAGE_EXTENSIONS[type]);
+    if (!mime) {
+      warn(`missing image attachment "${name}"`);
+      return null;
+    }
+    const data = joinSource(bundle[mime]);
+    const bytes = mime === 'image/svg+xml' ? Buffer.from(data, 'utf-8') : Buffer.from(data.trim(), 'base64');
+    return writeImageAsset(bytes, IMAGE_EXTENSIONS[mime]).src;
+  }
+
+  // Absolute and site-relative URLs, data URIs and fragments are left alone
+  if (/^(?:[a-z][a-z0-9+.-]*:|\/|#)/i.test(url)) return null;
+
+  const path = resolve(dirname(notebookPath), decodeURIComponent(url.split(/[?#]/)[0]));
+  if (!path.startsWith(ROOT + sep)) {
+    warn(`image "${url}" is outside the repository`);
+    return null;
+  }
+  if (!existsSync(path)) {
+    warn(`image "${url}" not found`);
+    return null;
+  }
+  const asset = publishImageFile(path);
+  if (!asset) warn(`image "${url}" is not a supported image type`);
+  return asset ? asset.src : null;
+}
+
+/**
+ * Rewrite a markdown cell's attachment and relative image URLs to published assets.
+ * @param {string} source - Markdown source.
+ * @param {object} [attachments] - The cell's attachments.
+ * @param {string} notebookPath - Absolute path to the notebook.
+ * @param {function(string): void} warn - Reports a problem with the notebook.
+ * @returns {string} Source with image URLs rewritten.
+ */
+function resolveCellImages(source, attachments, notebookPath, warn) {
+  return source.replace(IMAGE_REF_PATTERN, (match, mdOpen, mdUrl, mdClose, htmlOpen, htmlUrl, htmlClose) => {
+    const src = resolveImageUrl(mdUrl ?? htmlUrl, attachments || {}, notebookPath, warn);
+    if (!src) return match;
+    return mdOpen !== undefined ? `${mdOpen}${src}${mdClose}` : `${htmlOpen}${src}${htmlClose}`;
+  });
+}
+
+/**
+ * Read the notebook's kernel from its metadata (kernelspec and language_info).
+ * @param {object} [metadata] - Notebook metadata.
+ * @returns {{ name: string, displayName: string, language: string, version: string }}
+ *   Kernel details; the language defaults to Python.
+ */
+function readKernel(metadata = {}) {
+  const spec = metadata.kernelspec || {};
+  const info = metadata.language_info || {};
+  const language = String(info.name || spec.language || 'python').toLowerCase();
+  return {
+    name: spec.name || '',
+    displayName: spec.display_name || '',
+    language,
+    version: info.version ? String(info.version) : '',
+  };
+}
+
+/** Slide types that change how a cell is presented in slides mode */
+const SLIDE_TYPES = ['slide', 'subslide', 'fragment', 'skip', 'notes'];
+
+/**
+ * Read a cell's tags, plus the equivalent JupyterLab / classic Notebook flags.
+ * @param {object} cell - Raw nbformat cell.
+ * @returns {Set<string>} Tags, with underscores normalized to hyphens.
+ */
+function readCellTags(cell) {
+  const metadata = cell.metadata || {};
+  const tags = new Set((Array.isArray(metadata.tags) ? metadata.tags : [])
+    .map(tag => String(tag).trim().replace(/_/g, '-')));
+  if (metadata.jupyter?.source_hidden) tags.add('hide-input');
+  if (metadata.jupyter?.outputs_hidden || metadata.collapsed === true) tags.add('hide-output');
+  if (metadata.scrolled === true) tags.add('output-scroll');
+  return tags;
+}
+
+/**
+ * Read a cell's slide type from Jupyter's slideshow metadata (set in the
+ * notebook's "Slide Type" cell toolbar).
+ * @param {object} cell - Raw nbformat cell.
+ * @returns {string|null} One of SLIDE_TYPES, or null for "-" (continue the
+ *   current slide) and cells without one.
+ */
+function readSlideType(cell) {
+  const type = cell.metadata?.slideshow?.slide_type;
+  return SLIDE_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * Work out how a cell's input and output are displayed from its tags.
+ * @param {Set<string>} tags - Tags from readCellTags().
+ * @returns {{ input?: string, output?: string, scroll?: boolean }} "removed" or
+ *   "hidden" per part (absent when shown normally), and whether output scrolls.
+ */
+function cellDisplay(tags) {
+  const part = name => {
+    if (tags.has(`remove-${name}`)) return 'removed';
+    if (tags.has(`hide-${name}`) || tags.has('hide-cell')) return 'hidden';
+    return null;
+  };
+  const display = {};
+  const input = part('input');
+  const output = part('output');
+  if (input) display.input = input;
+  if (output) display.output = output;
+  if (tags.has('output-scroll')) display.scroll = true;
+  return display;
+}
+
 /**
  * Process a single Jupyter notebook file into a structured JSON object.
- * Handles markdown cells, code cells with outputs (text, images, HTML, errors).
- * HTML outputs from notebook cells are sanitized with DOMPurify.
+ * Handles markdown cells and code cells with outputs (streams, rich MIME bundles, errors),
+ * highlights code in the kernel's language (see render-code.js) and honors cell
+ * tags. Cells left with nothing to show are dropped, so `cells` holds only
+ * visible cells. HTML and SVG outputs are sanitized with DOMPurify. Also writes
+ * the notebook's downloads and launch links (see notebook-exports.js), and runs
+ * the quality checks (see notebook-checks.js).
  *
  * @param {string} filepath - Absolute path to the .ipynb file.
- * @returns {object|null} Index entry object, or null if notebook is empty.
+ * @param {object} checks - Checks config (readChecksConfig).
+ * @returns {object|null} Index entry object (with the check `issues`), or null if notebook is empty.
  */
-function processNotebook(filepath) {
+function processNotebook(filepath, checks) {
   const raw = readFileSync(filepath, 'utf-8');
   const nb = JSON.parse(raw);
   const filename = basename(filepath);
   const { date, slug } = parseFilename(filename);
+  const warn = message => console.warn(`  ${filename}: ${message}`);
 
   const cells = nb.cells || [];
   if (cells.length === 0) return null;
+  const kernel = readKernel(nb.metadata);
+  // One renderer per notebook keeps heading IDs unique across its cells and outputs
+  const renderMarkdown = createMarkdownRenderer();
 
   // Extract frontmatter from first cell (if it starts with ---)
   const firstCell = cells[0];
-  const firstSource = Array.isArray(firstCell.source) ? firstCell.source.join('') : (firstCell.source || '');
+  const firstSource = joinSource(firstCell.source);
   const hasFrontmatter = firstSource.trim().startsWith('---');
-  const meta = hasFrontmatter ? parseFrontmatter(firstSource) : {};
+  const meta = hasFrontmatter ? readFrontmatter(firstSource.trim(), filename) : {};
+  const issues = checkNotebook({ cells, hasFrontmatter, meta, tagsOf: readCellTags }, checks);
 
   // Process remaining cells (skip frontmatter cell if present)
   const startIdx = hasFrontmatter ? 1 : 0;
   const processedCells = [];
+  // Downloads keep every cell, including removed ones
+  const exportCells = [];
+  let pendingBreak = null;
 
   for (let i = startIdx; i < cells.length; i++) {
     const cell = cells[i];
-    const source = Array.isArray(cell.source) ? cell.source.join('') : (cell.source || '');
+    const source = cell.cell_type === 'markdown'
+      ? resolveCellImages(joinSource(cell.source), cell.attachments, filepath, warn)
+      : joinSource(cell.source);
+    exportCells.push({
+      type: cell.cell_type,
+      source,
+      tags: Array.isArray(cell.metadata?.tags) ? cell.metadata.tags : [],
+    });
 
-    if (cell.cell_type === 'markdown') {
-      processedCells.push({ type: 'markdown', source });
+    const tags = readCellTags(cell);
+    const slide = readSlideType(cell);
+    const display = cellDisplay(tags);
+    let processed = null;
+
+    if (tags.has('remove-cell')) {
+      // Dropped; only its slide break is kept (below)
+    } else if (cell.cell_type === 'markdown') {
+      // A markdown cell is all "input": hide-input collapses it, remove-input drops it
+      if (display.input !== 'removed') {
+        processed = {
+          type: 'markdown',
+          ...renderMarkdownSource(source, renderMarkdown),
+          ...(display.input ? { display: { input: display.input } } : {})
+        };
+      }
 
     } else if (cell.cell_type === 'code') {
-      // Process each output type: stream text, images, HTML, errors
-      const outputs = (cell.outputs || []).map(output => {
-        if (output.output_type === 'stream') {
-          return {
-            type: 'text',
-            text: Array.isArray(output.text) ? output.text.join('') : (output.text || '')
-          };
-        } else if (output.output_type === 'execute_result' || output.output_type === 'display_data') {
-          const data = output.data || {};
-          if (data['image/png']) {
-            return { type: 'image', data: `data:image/png;base64,${data['image/png']}` };
-          } else if (data['text/html']) {
-            // Sanitize HTML output from notebook execution to prevent XSS
-            const rawHtml = Array.isArray(data['text/html']) ? data['text/html'].join('') : data['text/html'];
-            const html = DOMPurify.sanitize(rawHtml);
-            return { type: 'html', html };
-          } else if (data['text/plain']) {
-            const text = Array.isArray(data['text/plain']) ? data['text/plain'].join('') : data['text/plain'];
-            return { type: 'text', text };
-          }
-          return null;
-        } else if (output.output_type === 'error') {
-          return {
-            type: 'error',
-            ename: output.ename || '',
-            evalue: output.evalue || '',
-            traceback: (output.traceback || []).join('\n')
-          };
-        }
-        return null;
-      }).filter(Boolean);
-
-      processedCells.push({
-        type: 'code',
-        source,
-        executionCount: cell.execution_count || null,
-        outputs
-      });
+      const outputs = display.output === 'removed'
+        ? []
+        : mergeStreams(cell.outputs || []).map(output => processOutput(output, renderMarkdown)).filter(Boolean);
+      if (display.input !== 'removed' || outputs.length > 0) {
+        const input = display.input === 'removed' ? '' : source;
+        const { html, language } = highlightCell(input, kernel.language);
+
+        processed = {
+          type: 'code',
+          source: input,
+          html,
+          language: languageLabel(language),
+          executionCount: cell.execution_count || null,
+          outputs,
+          ...(Object.keys(display).length ? { display } : {})
+        };
+      }
     }
+
+    // A slide break on a dropped cell moves to the next cell shown on a slide
+    if (!processed) {
+      if (slide === 'slide' || (slide === 'subslide' && !pendingBreak)) pendingBreak = slide;
+      continue;
+    }
+    const slideType = pendingBreak && !['slide', 'skip', 'notes'].includes(slide) ? pendingBreak : slide;
+    if (slideType === 'slide' || slideType === 'subslide') pendingBreak = null;
+    processedCells.push(slideType ? { ...processed, slide: slideType } : processed);
   }
 
+  const downloads = writeExports(slug, raw, exportCells, meta, kernel);
+  const launch = launchLinks(readJsonSafe(LAUNCH_CONFIG, {}), filepath);
+
+  // Schema keys beyond the basics (e.g. series) pass through typed
+  const { title, description, tags, difficulty, duration, aliases, ...extra } = meta;
   const renderedData = {
     meta: {
       slug,
       date,
-      title: meta.title || slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
-      description: meta.description || '',
-      tags: meta.tags || [],
-      difficulty: meta.difficulty || '',
-      duration: meta.duration || '',
-      filename
+      title: title || slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+      description: description || '',
+      tags: tags || [],
+      difficulty: difficulty || '',
+      duration: duration || '',
+      ...extra,
+      kernel,
+      filename,
+      downloads,
+      ...(Object.keys(launch).length ? { launch } : {})
     },
     cells: processedCells
   };
@@ -199,43 +534,192 @@ function processNotebook(filepath) {
     tags: renderedData.meta.tags,
     difficulty: renderedData.meta.difficulty,
     duration: renderedData.meta.duration,
+    ...extra,
     cellCount: processedCells.length,
-    filename
+    filename,
+    aliases: aliases || [],
+    issues
   };
 }
 
 /**
- * Main build function — scans notebook directory and processes all .ipynb files.
+ * Split a processed notebook into its index entry, its alias redirects and its
+ * check results.
+ * @param {object} entry - Result of processNotebook.
+ * @param {object} redirects - Redirect map to add the aliases to.
+ * @param {object[]} results - Check results to add the notebook's issues to.
+ * @returns {object} Index entry (without aliases and issues).
+ */
+function addToIndex(entry, redirects, results) {
+  const { aliases, issues, ...indexEntry } = entry;
+  for (const alias of aliases) redirects[alias] = entry.slug;
+  results.push({ filename: entry.filename, slug: entry.slug, issues });
+  return indexEntry;
+}
+
+/**
+ * Write the index (newest first, by date-prefixed filename) and redirect map.
+ * An alias that is a live slug again belongs to that notebook, not the redirect.
+ * @param {object[]} index - Index entries.
+ * @param {object} redirects - Alias to slug map.
+ */
+function writeIndex(index, redirects) {
+  for (const entry of index) delete redirects[entry.slug];
+  index.sort((a, b) => b.filename.localeCompare(a.filename));
+  writeFileSync(OUTPUT_INDEX, JSON.stringify(index, null, 2));
+  writeFileSync(OUTPUT_REDIRECTS, JSON.stringify(redirects, null, 2));
+}
+
+/**
+ * Link the notebooks in each series and learning path, in their rendered JSON.
+ * Run after the index is written: a notebook's neighbours change when another
+ * notebook joins, leaves or is renamed.
+ * @param {object[]} index - Index entries.
+ * @param {object} redirects - Alias to slug map.
+ * @returns {number} Number of rendered files rewritten.
+ */
+function linkSeries(index, redirects) {
+  const navigation = buildSeriesNavigation(index, readJsonSafe(PATHS_CONFIG, null), redirects,
+    message => console.warn(`  ${message}`));
+  return writeSeriesNavigation(OUTPUT_RENDERED, index, navigation);
+}
+
+/**
+ * Read tutorials/checks.json, warning about problems in it.
+ * @returns {object} Checks config (see notebook-checks.js).
+ */
+function readChecks() {
+  return readChecksConfig(readJsonSafe(CHECKS_CONFIG, {}), message => console.warn(`  ${message}`));
+}
+
+/**
+ * Write the check report.
+ * @param {object[]} results - Per-notebook results as { filename, slug, issues }.
+ * @param {boolean} strict - Count warnings as failures.
+ * @returns {object} The report.
+ */
+function writeChecks(results, strict) {
+  const report = buildChecksReport(results, strict);
+  writeFileSync(OUTPUT_CHECKS, JSON.stringify(report, null, 2));
+  return report;
+}
+
+/**
+ * Log a notebook's check issues.
+ * @param {object} result - Report entry as { filename, issues }.
+ * @param {boolean} strict - Warnings count as failures.
  */
-function build() {
+function logIssues({ filename, issues }, strict) {
+  for (const { severity, message } of issues) {
+    console.warn(`  ${filename}: [${strict ? 'fail' : severity}] ${message}`);
+  }
+}
+
+/**
+ * Build every notebook in tutorials/notebooks/ and rewrite the index. Fails
+ * (after writing everything) when a check fails; see notebook-checks.js.
+ * @param {object} [options]
+ * @param {boolean} [options.verbose] - Log each processed notebook.
+ * @param {boolean} [options.strict] - Fail on check warnings too.
+ * @returns {{ notebooks: number }} Number of notebooks in the index.
+ */
+export function buildNotebooks({ verbose = false, strict = false } = {}) {
+  mkdirSync(OUTPUT_RENDERED, { recursive: true });
+
   if (!existsSync(NOTEBOOKS_DIR)) {
     console.log('No tutorials/notebooks directory found. Creating empty index.');
-    writeFileSync(OUTPUT_INDEX, '[]');
-    return;
+    writeIndex([], {});
+    writeChecks([], strict);
+    return { notebooks: 0 };
   }
 
-  const files = readdirSync(NOTEBOOKS_DIR)
-    .filter(f => f.endsWith('.ipynb'))
-    .sort()
-    .reverse(); // newest first (date prefix sort)
+  const files = readdirSync(NOTEBOOKS_DIR).filter(f => f.endsWith('.ipynb'));
+  const checks = readChecks();
 
   const index = [];
+  const redirects = {};
+  const results = [];
   for (const file of files) {
-    const filepath = join(NOTEBOOKS_DIR, file);
     try {
-      const entry = processNotebook(filepath);
+      const entry = processNotebook(join(NOTEBOOKS_DIR, file), checks);
       if (entry) {
-        index.push(entry);
-        console.log(`  Processed: ${file} -> ${entry.slug}`);
+        index.push(addToIndex(entry, redirects, results));
+        if (verbose) console.log(`  Processed: ${file} -> ${entry.slug}`);
       }
     } catch (err) {
       console.error(`  Error processing ${file}:`, err.message);
+      results.push({ filename: file, slug: parseFilename(file).slug, issues: processingIssue(err.message, checks) });
     }
   }
 
-  writeFileSync(OUTPUT_INDEX, JSON.stringify(index, null, 2));
-  console.log(`\nBuild complete: ${index.length} notebook(s) processed.`);
+  writeIndex(index, redirects);
+  linkSeries(index, redirects);
+  const pruned = pruneAssets([OUTPUT_RENDERED, DOWNLOADS_DIR]);
+  if (verbose && pruned) console.log(`  Removed ${pruned} unused image asset(s)`);
+
+  const report = writeChecks(results, strict);
+  for (const result of report.notebooks) logIssues(result, strict);
+  console.log(`[build-notebooks] Processed ${index.length} notebook(s)`);
+  const { warnings, failures } = report.summary;
+  if (warnings || failures) {
+    console.log(`[build-notebooks] Checks: ${warnings} warning(s), ${failures} failure(s) (report: public/tutorials/_checks.json)`);
+  }
+  if (!report.passed) {
+    throw new Error(`Notebook checks failed with ${failures} failure(s); see public/tutorials/_checks.json`);
+  }
+  return { notebooks: index.length };
 }
 
-console.log('Building notebook index...');
-build();
+/**
+ * Rebuild a single notebook and update its entry in the existing index, leaving
+ * the other notebooks untouched (used by watch mode). A file that no longer
+ * exists or fails to build (a `processing` issue) is removed from the index; the
+ * rendered JSON under a slug it no longer has is deleted. Image assets no longer
+ * used are pruned, as in a full build. The notebook's check results replace the
+ * old ones in the report; failures are logged but do not stop watch mode.
+ * @param {string} filepath - Absolute path to the .ipynb file.
+ * @param {object} [options]
+ * @param {boolean} [options.verbose] - Log the processed notebook.
+ * @param {boolean} [options.strict] - Count check warnings as failures.
+ * @returns {{ notebooks: number }} Number of notebooks in the index.
+ */
+export function buildNotebook(filepath, { verbose = false, strict = false } = {}) {
+  mkdirSync(OUTPUT_RENDERED, { recursive: true });
+  const filename = basename(filepath);
+  const previous = readJsonSafe(OUTPUT_INDEX, []);
+  const old = previous.find(e => e.filename === filename);
+  const index = previous.filter(e => e !== old);
+  const redirects = readJsonSafe(OUTPUT_REDIRECTS, {});
+  // Aliases are re-read from the notebook, so drop the ones it declared before
+  if (old) {
+    for (const [alias, slug] of Object.entries(redirects)) if (slug === old.slug) delete redirects[alias];
+  }
+
+  const results = (readJsonSafe(OUTPUT_CHECKS, null)?.notebooks || []).filter(r => r.filename !== filename);
+
+  const checks = readChecks();
+  let entry = null;
+  try {
+    entry = existsSync(filepath) ? processNotebook(filepath, checks) : null;
+  } catch (err) {
+    console.error(`  Error processing ${filename}:`, err.message);
+    results.push({ filename, slug: parseFilename(filename).slug, issues: processingIssue(err.message, checks) });
+  }
+  if (entry) {
+    index.push(addToIndex(entry, redirects, results));
+    if (verbose) console.log(`  Processed: ${filename} -> ${entry.slug}`);
+  }
+  // A removed or renamed notebook's old JSON would keep its assets from being pruned
+  const oldRendered = old && old.slug !== entry?.slug && join(OUTPUT_RENDERED, `${old.slug}.json`);
+  if (oldRendered && existsSync(oldRendered)) unlinkSync(oldRendered);
+
+  writeIndex(index, redirects);
+  linkSeries(index, redirects);
+  const pruned = pruneAssets([OUTPUT_RENDERED, DOWNLOADS_DIR]);
+  if (verbose && pruned) console.log(`  Removed ${pruned} unused image asset(s)`);
+
+  const report = writeChecks(results, strict);
+  for (const result of report.notebooks) if (result.filename === filename) logIssues(result, strict);
+  console.log(`[build-notebooks] ${entry ? 'Rebuilt' : 'Removed'} ${filename}`);
+  return { notebooks: index.length };
+}
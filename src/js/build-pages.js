@@ -0,0 +1,285 @@
+/**
+ * @file Static Page Builder — pre-renders a page per blog post and tutorial.
+ * @description Runs after `vite build` (build.js step "pages", from the postbuild
+ * hook). Uses the built dist/blog/post.html and dist/tutorials/view.html as
+ * templates, so hashed asset links stay intact, and writes dist/blog/<slug>/index.html and
+ * dist/tutorials/<slug>/index.html with the title, meta description, canonical
+ * link, Open Graph / Twitter tags, JSON-LD and the content baked in. Crawlers and
+ * link unfurlers see the real page; in the browser the same scripts then run
+ * as usual (TOC, share links, related content).
+ *
+ * Renamed slugs (blog/_redirects.json, tutorials/_redirects.json) get a small
+ * stub page at the old path that redirects to the new one. Legacy query URLs
+ * (/blog/post.html?slug=…, /tutorials/view.html?nb=…) are redirected client-side.
+ *
+ * Inputs:  dist/blog/post.html, dist/tutorials/view.html, dist/blog/_posts.json +
+ *          _rendered/ + _redirects.json, dist/tutorials/_notebooks.json + _rendered/ +
+ *          _redirects.json
+ * Outputs: dist/blog/<slug>/index.html, dist/tutorials/<slug>/index.html
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { JSDOM } from 'jsdom';
+import { SITE_URL, SLUG_PATTERN, postUrl, tutorialUrl } from './urls.js';
+import { readJsonSafe, htmlToText, renderNotebookHtml } from './site-content.js';
+import { escapeHtml } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT = join(__dirname, '..', '..');
+const DIST = join(ROOT, 'dist');
+
+const SITE_NAME = 'sushi.lab';
+const SITE_AUTHOR = 'Shushank Singh';
+
+/** Tag color classes, matching the ones cycled through client-side */
+const POST_TAG_CLASSES = ['tag-accent', 'tag-purple', 'tag-green', 'tag-yellow', 'tag-default'];
+const TUTORIAL_TAG_CLASSES = ['tag-accent', 'tag-purple', 'tag-green', 'tag-default'];
+
+/**
+ * Set (or create) a <meta> tag in the document head.
+ * @param {Document} doc - Page document.
+ * @param {string} attr - Key attribute ("name" or "property").
+ * @param {string} key - Key value, e.g. "og:title".
+ * @param {string} content - Tag content; the tag is skipped when empty.
+ */
+function setMeta(doc, attr, key, content) {
+  if (!content) return;
+  let el = doc.head.querySelector(`meta[${attr}="${key}"]`);
+  if (!el) {
+    el = doc.createElement('meta');
+    el.setAttribute(attr, key);
+    doc.head.appendChild(el);
+  }
+  el.setAttribute('content', content);
+}
+
+/**
+ * Fill in the document head: title, description, canonical link, Open Graph,
+ * Twitter card and JSON-LD structured data.
+ * @param {Document} doc - Page document.
+ * @param {object} page
+ * @param {string} page.title - Content title.
+ * @param {string} page.description - Plain-text description.
+ * @param {string} page.url - Absolute canonical URL.
+ * @param {string} [page.image] - Absolute cover image URL.
+ * @param {string} [page.date] - Publish date (YYYY-MM-DD).
+ * @param {object} page.jsonLd - Structured data object.
+ */
+function applyHead(doc, { title, description, url, image, date, jsonLd }) {
+  doc.title = `${title} - ${SITE_NAME}`;
+  setMeta(doc, 'name', 'description', description || title);
+
+  const canonical = doc.createElement('link');
+  canonical.rel = 'canonical';
+  canonical.href = url;
+  doc.head.appendChild(canonical);
+
+  setMeta(doc, 'property', 'og:title', title);
+  setMeta(doc, 'property', 'og:description', description);
+  setMeta(doc, 'property', 'og:url', url);
+  setMeta(doc, 'property', 'og:image', image);
+  setMeta(doc, 'property', 'article:published_time', date);
+  setMeta(doc, 'name', 'twitter:title', title);
+  setMeta(doc, 'name', 'twitter:description', description);
+  setMeta(doc, 'name', 'twitter:image', image);
+
+  const ld = doc.createElement('script');
+  ld.type = 'application/ld+json';
+  ld.textContent = JSON.stringify(jsonLd);
+  doc.head.appendChild(ld);
+}
+
+/**
+ * Render tag chips the same way the client does.
+ * @param {string[]} tags - Tag names.
+ * @param {string[]} classes - Color classes to cycle through.
+ * @returns {string} HTML string.
+ */
+function renderTags(tags, classes) {
+  return (tags || []).map((tag, i) =>
+    `<span class="tag ${classes[i % classes.length]}">${escapeHtml(tag)}</span>`
+  ).join('');
+}
+
+/**
+ * Write a page to dist/<section>/<slug>/index.html.
+ * @param {string} section - "blog" or "tutorials".
+ * @param {string} slug - Content slug.
+ * @param {string} html - Full HTML document.
+ */
+function writePage(section, slug, html) {
+  const dir = join(DIST, section, slug);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, 'index.html'), html);
+}
+
+/**
+ * Resolve a possibly site-relative image path to an absolute URL for OG tags.
+ * @param {string} src - Image URL or path.
+ * @returns {string} Absolute URL, or empty string.
+ */
+function absoluteUrl(src) {
+  if (!src) return '';
+  return /^https?:\/\//.test(src) ? src : `${SITE_URL}${src.startsWith('/') ? '' : '/'}${src}`;
+}
+
+/**
+ * Pre-render one page per blog post from the built post template.
+ * @param {string} template - Built blog/post.html.
+ * @returns {Set<string>} Slugs that were rendered.
+ */
+function buildPostPages(template) {
+  const posts = readJsonSafe(join(DIST, 'blog', '_posts.json'), []);
+  const rendered = new Set();
+
+  for (const post of posts) {
+    if (!post.slug || !SLUG_PATTERN.test(post.slug)) continue;
+    const data = readJsonSafe(join(DIST, 'blog', '_rendered', `${post.slug}.json`), null);
+    if (!data) continue;
+    const { meta, content } = data;
+
+    const dom = new JSDOM(template);
+    const doc = dom.window.document;
+    const url = `${SITE_URL}${postUrl(meta.slug)}`;
+    const description = htmlToText(meta.description);
+
+    applyHead(doc, {
+      title: meta.title,
+      description,
+      url,
+      image: absoluteUrl(meta.coverImage),
+      date: meta.date,
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: meta.title,
+        description,
+        datePublished: meta.date || '',
+        ...(meta.coverImage ? { image: absoluteUrl(meta.coverImage) } : {}),
+        author: { '@type': 'Person', name: meta.creator || SITE_AUTHOR },
+        publisher: { '@type': 'Person', name: SITE_AUTHOR },
+        url,
+      },
+    });
+
+    doc.getElementById('post-title').textContent = meta.title;
+    doc.getElementById('post-subtitle').textContent = description;
+    if (meta.creator) doc.getElementById('post-author').textContent = meta.creator;
+    doc.getElementById('post-tags').innerHTML = renderTags(meta.tags, POST_TAG_CLASSES);
+    // Content was sanitized by build-blog.js
+    doc.getElementById('post-body').innerHTML = content || '';
+
+    writePage('blog', meta.slug, dom.serialize());
+    rendered.add(meta.slug);
+  }
+
+  return rendered;
+}
+
+/**
+ * Pre-render one page per tutorial from the built notebook viewer template.
+ * @param {string} template - Built tutorials/view.html.
+ * @returns {Set<string>} Slugs that were rendered.
+ */
+function buildTutorialPages(template) {
+  const notebooks = readJsonSafe(join(DIST, 'tutorials', '_notebooks.json'), []);
+  const rendered = new Set();
+
+  for (const nb of notebooks) {
+    if (!nb.slug || !SLUG_PATTERN.test(nb.slug)) continue;
+    const data = readJsonSafe(join(DIST, 'tutorials', '_rendered', `${nb.slug}.json`), null);
+    if (!data) continue;
+    const { meta, cells } = data;
+
+    const dom = new JSDOM(template);
+    const doc = dom.window.document;
+    const url = `${SITE_URL}${tutorialUrl(nb.slug)}`;
+    const description = meta.description || `${meta.title} - ${SITE_NAME} tutorial`;
+
+    applyHead(doc, {
+      title: meta.title,
+      description,
+      url,
+      date: meta.date,
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'TechArticle',
+        headline: meta.title,
+        description,
+        datePublished: meta.date || '',
+        keywords: (meta.tags || []).join(', '),
+        author: { '@type': 'Person', name: SITE_AUTHOR },
+        publisher: { '@type': 'Person', name: SITE_AUTHOR },
+        url,
+      },
+    });
+
+    doc.getElementById('tutorial-title').textContent = meta.title;
+    doc.getElementById('tutorial-desc').textContent = meta.description || '';
+    doc.getElementById('tutorial-tags').innerHTML = renderTags(meta.tags, TUTORIAL_TAG_CLASSES);
+    doc.getElementById('tutorial-body').innerHTML = renderNotebookHtml(cells || []);
+
+    writePage('tutorials', nb.slug, dom.serialize());
+    rendered.add(nb.slug);
+  }
+
+  return rendered;
+}
+
+/**
+ * Write redirect stubs for renamed slugs, skipping any old slug that is a live page again.
+ * @param {string} section - "blog" or "tutorials".
+ * @param {function(string): string} toUrl - Slug to page path.
+ * @param {Set<string>} live - Slugs with real pages.
+ * @returns {number} Number of stubs written.
+ */
+function buildRedirectPages(section, toUrl, live) {
+  const redirects = readJsonSafe(join(DIST, section, '_redirects.json'), {});
+  let count = 0;
+
+  for (const [from, to] of Object.entries(redirects)) {
+    if (!SLUG_PATTERN.test(from) || live.has(from) || !live.has(to)) continue;
+    const target = toUrl(to);
+    writePage(section, from, `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Redirecting - ${SITE_NAME}</title>
+  <meta name="robots" content="noindex">
+  <link rel="canonical" href="${SITE_URL}${target}">
+  <meta http-equiv="refresh" content="0; url=${target}">
+</head>
+<body>
+  <p>This page has moved to <a href="${target}">${target}</a>.</p>
+</body>
+</html>
+`);
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Pre-render all post and tutorial pages into dist/.
+ * @returns {{ posts: number, tutorials: number, redirects: number }} Summary of the build.
+ */
+export function buildPages() {
+  const postTemplate = join(DIST, 'blog', 'post.html');
+  const tutorialTemplate = join(DIST, 'tutorials', 'view.html');
+  if (!existsSync(postTemplate) || !existsSync(tutorialTemplate)) {
+    throw new Error('dist/ templates not found — run `vite build` first');
+  }
+
+  const posts = buildPostPages(readFileSync(postTemplate, 'utf-8'));
+  const tutorials = buildTutorialPages(readFileSync(tutorialTemplate, 'utf-8'));
+  const stubs = buildRedirectPages('blog', postUrl, posts) +
+    buildRedirectPages('tutorials', tutorialUrl, tutorials);
+
+  console.log(`[build-pages] Rendered ${posts.size} post(s), ${tutorials.size} tutorial(s); ${stubs} redirect stub(s)`);
+  return { posts: posts.size, tutorials: tutorials.size, redirects: stubs };
+}
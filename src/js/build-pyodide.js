@@ -0,0 +1,192 @@
+/**
+ * @file Pyodide Runtime Publisher — serves the in-browser Python runtime locally.
+ * @description Copies the Pyodide runtime (interpreter, WebAssembly binary and
+ * standard library) from node_modules/pyodide to public/pyodide/, where
+ * python-worker.js loads it when a reader turns on run mode. The packages the
+ * notebooks declare in their frontmatter (`packages`), and the packages those
+ * depend on, are published next to it with a lock file listing just them, so
+ * run mode loads nothing from outside the site.
+ *
+ * The npm package ships without package wheels: they are downloaded once from
+ * the Pyodide release matching the installed version, checked against the
+ * lock file's sha256, and kept in .cache/pyodide/ (override with
+ * PYODIDE_CACHE_DIR). With --offline only cached wheels are published; a
+ * declared package that is not available is reported and left out.
+ * Files are copied only when missing or changed.
+ * Run through build.js (step "pyodide", after "notebooks").
+ *
+ * Inputs:  node_modules/pyodide/, public/tutorials/_notebooks.json and
+ *          public/tutorials/_rendered/ (declared packages), .cache/pyodide/
+ * Outputs: public/pyodide/ (pyodide.mjs, pyodide.asm.mjs, pyodide.asm.wasm,
+ *          python_stdlib.zip, pyodide-lock.json, package wheels)
+ * @module build-pyodide
+ */
+
+import { copyFileSync, mkdirSync, existsSync, statSync, readFileSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { readJsonSafe } from './site-content.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT = join(__dirname, '..', '..');
+
+const PYODIDE_DIR = join(ROOT, 'node_modules', 'pyodide');
+const OUTPUT_DIR = join(ROOT, 'public', 'pyodide');
+const NOTEBOOKS_INDEX = join(ROOT, 'public', 'tutorials', '_notebooks.json');
+const NOTEBOOKS_RENDERED = join(ROOT, 'public', 'tutorials', '_rendered');
+const CACHE_DIR = process.env.PYODIDE_CACHE_DIR
+  ? resolve(process.env.PYODIDE_CACHE_DIR)
+  : join(ROOT, '.cache', 'pyodide');
+const LOCK_FILE = 'pyodide-lock.json';
+
+/** Runtime files the browser loads (the rest of the package is Node-only or docs) */
+const RUNTIME_FILES = [
+  'pyodide.mjs',
+  'pyodide.asm.mjs',
+  'pyodide.asm.wasm',
+  'python_stdlib.zip',
+];
+
+/**
+ * Check whether a published file is out of date with its source.
+ * @param {string} source - Path in node_modules or the cache.
+ * @param {string} target - Path under public/.
+ * @returns {boolean} True if the target is missing or differs in size or age.
+ */
+function isStale(source, target) {
+  if (!existsSync(target)) return true;
+  const from = statSync(source);
+  const to = statSync(target);
+  return from.size !== to.size || from.mtimeMs > to.mtimeMs;
+}
+
+/**
+ * Collect the packages declared by the built notebooks.
+ * @returns {Map<string, string[]>} Package name (lowercase) to the notebooks declaring it.
+ */
+function collectDeclaredPackages() {
+  const declared = new Map();
+  for (const { slug } of readJsonSafe(NOTEBOOKS_INDEX, [])) {
+    const rendered = readJsonSafe(join(NOTEBOOKS_RENDERED, `${slug}.json`), null);
+    for (const name of rendered?.meta?.packages || []) {
+      const key = name.toLowerCase();
+      if (!declared.has(key)) declared.set(key, []);
+      declared.get(key).push(slug);
+    }
+  }
+  return declared;
+}
+
+/**
+ * Resolve declared packages and their dependencies against the lock file.
+ * @param {Map<string, string[]>} declared - Result of collectDeclaredPackages.
+ * @param {object} lock - Parsed pyodide-lock.json.
+ * @returns {string[]} Lock package names to publish, sorted.
+ */
+function resolvePackages(declared, lock) {
+  const needed = new Set();
+  const visit = name => {
+    if (needed.has(name)) return;
+    needed.add(name);
+    for (const dep of lock.packages[name].depends) visit(dep);
+  };
+  for (const [name, slugs] of declared) {
+    if (lock.packages[name]) visit(name);
+    else console.warn(`  Unknown Pyodide package "${name}" (declared by ${slugs.join(', ')})`);
+  }
+  return [...needed].sort();
+}
+
+/**
+ * Compute a file's sha256.
+ * @param {Buffer} data - File contents.
+ * @returns {string} Hex digest.
+ */
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Make sure a package wheel is in the cache, downloading it unless offline.
+ * @param {object} entry - The package's lock file entry (file_name, sha256).
+ * @param {string} version - Installed Pyodide version.
+ * @param {boolean} offline - Use the cache only.
+ * @returns {Promise<string|null>} Path of the cached wheel, or null if unavailable.
+ */
+async function cachedWheel(entry, version, offline) {
+  const path = join(CACHE_DIR, version, entry.file_name);
+  if (existsSync(path)) return path;
+  if (offline) return null;
+
+  const url = `https://cdn.jsdelivr.net/pyodide/v${version}/full/${entry.file_name}`;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = Buffer.from(await res.arrayBuffer());
+    if (sha256(data) !== entry.sha256) throw new Error('sha256 does not match the lock file');
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, data);
+    return path;
+  } catch (err) {
+    console.warn(`  Could not download ${entry.file_name}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Copy the Pyodide runtime and the declared packages to public/pyodide/.
+ * @param {object} [options]
+ * @param {boolean} [options.verbose] - Log each copied file.
+ * @param {boolean} [options.offline] - Publish cached package wheels only.
+ * @returns {Promise<{ copied: number, packages: number }>} Number of files copied
+ *   and of packages published.
+ */
+export async function buildPyodide({ verbose = false, offline = false } = {}) {
+  if (!existsSync(join(PYODIDE_DIR, 'pyodide.mjs'))) {
+    console.warn('[build-pyodide] pyodide is not installed; run mode will be unavailable.');
+    return { copied: 0, packages: 0 };
+  }
+
+  mkdirSync(OUTPUT_DIR, { recursive: true });
+  let copied = 0;
+  const publish = (source, file) => {
+    const target = join(OUTPUT_DIR, file);
+    if (!isStale(source, target)) return;
+    copyFileSync(source, target);
+    copied++;
+    if (verbose) console.log(`  Copied: ${file}`);
+  };
+
+  for (const file of RUNTIME_FILES) publish(join(PYODIDE_DIR, file), file);
+
+  const { version } = JSON.parse(readFileSync(join(PYODIDE_DIR, 'package.json'), 'utf-8'));
+  const lock = JSON.parse(readFileSync(join(PYODIDE_DIR, LOCK_FILE), 'utf-8'));
+  const published = {};
+  for (const name of resolvePackages(collectDeclaredPackages(), lock)) {
+    const entry = lock.packages[name];
+    const wheel = await cachedWheel(entry, version, offline);
+    if (!wheel) {
+      console.warn(`  Package "${name}" is not available${offline ? ' offline' : ''}; run mode cannot load it.`);
+      continue;
+    }
+    publish(wheel, entry.file_name);
+    published[name] = entry;
+  }
+
+  // The published lock lists only the packages served here, so run mode never
+  // tries to fetch one that is not
+  const lockOutput = JSON.stringify({ ...lock, packages: published });
+  const lockTarget = join(OUTPUT_DIR, LOCK_FILE);
+  if (!existsSync(lockTarget) || readFileSync(lockTarget, 'utf-8') !== lockOutput) {
+    writeFileSync(lockTarget, lockOutput);
+    copied++;
+    if (verbose) console.log(`  Wrote: ${LOCK_FILE}`);
+  }
+
+  const packages = Object.keys(published).length;
+  console.log(`[build-pyodide] Runtime ${copied ? `updated (${copied} file(s))` : 'up to date'}, ${packages} package(s)`);
+  return { copied, packages };
+}
@@ -0,0 +1,149 @@
+/**
+ * @file Related Content Builder — links each post and tutorial to similar content.
+ * @description Builds a TF-IDF vector for every blog post and tutorial from its
+ * title, tags, description and body, blends cosine similarity with tag overlap,
+ * and writes the top matches into each rendered JSON as a `related` array.
+ * Recommendations cross between blog and tutorials. Run through build.js
+ * (step "related"), after the blog and notebook steps.
+ *
+ * Inputs:  public/blog/_rendered/*.json, public/tutorials/_rendered/*.json (via site-content.js)
+ * Outputs: `related` field in each of those files:
+ *          [{ type, slug, title, description, url, score }]
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { tokenize } from './tokenize.js';
+import { collectPosts, collectTutorials } from './site-content.js';
+
+/** Number of related items stored per document */
+const RELATED_COUNT = 3;
+
+/** Share of the score from content similarity; the rest comes from shared tags */
+const CONTENT_WEIGHT = 0.7;
+
+/** Items scoring below this are not worth recommending */
+const MIN_SCORE = 0.05;
+
+/** Token repetitions per field, so titles and tags weigh more than body text */
+const FIELD_REPEATS = {
+  title: 3,
+  tags: 3,
+  description: 2,
+  body: 1,
+  code: 1,
+};
+
+/**
+ * Count term frequencies across a document's fields, repeating boosted fields.
+ * @param {object} fields - Field name to plain text.
+ * @returns {Map<string, number>} Term to weighted count.
+ */
+function termCounts(fields) {
+  const counts = new Map();
+  for (const [field, text] of Object.entries(fields)) {
+    const repeat = FIELD_REPEATS[field] || 1;
+    for (const term of tokenize(text)) counts.set(term, (counts.get(term) || 0) + repeat);
+  }
+  return counts;
+}
+
+/**
+ * Build L2-normalized TF-IDF vectors (log-scaled tf) for all documents.
+ * @param {Map<string, number>[]} allCounts - Term counts per document.
+ * @returns {Map<string, number>[]} Unit-length vectors, one per document.
+ */
+function tfidfVectors(allCounts) {
+  const docFreq = new Map();
+  for (const counts of allCounts) {
+    for (const term of counts.keys()) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+  }
+
+  const n = allCounts.length;
+  return allCounts.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, tf] of counts) {
+      const weight = (1 + Math.log(tf)) * Math.log(1 + n / docFreq.get(term));
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+  });
+}
+
+/**
+ * Cosine similarity of two unit-length sparse vectors.
+ * @param {Map<string, number>} a - First vector.
+ * @param {Map<string, number>} b - Second vector.
+ * @returns {number} Similarity in [0, 1].
+ */
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot;
+}
+
+/**
+ * Jaccard overlap of two tag lists, compared case-insensitively.
+ * @param {string[]} a - First tag list.
+ * @param {string[]} b - Second tag list.
+ * @returns {number} Overlap in [0, 1] (0 when either list is empty).
+ */
+function tagOverlap(a, b) {
+  const setA = new Set(a.map(t => t.toLowerCase()));
+  const setB = new Set(b.map(t => t.toLowerCase()));
+  if (!setA.size || !setB.size) return 0;
+  let shared = 0;
+  for (const tag of setA) if (setB.has(tag)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Score every pair of documents and write the top matches into each rendered
+ * JSON (only rewriting files whose list changed).
+ * @returns {{ documents: number, updated: number }} Summary of the build.
+ */
+export function buildRelated() {
+  const docs = [...collectPosts(), ...collectTutorials()]
+    .filter(doc => existsSync(doc.renderedPath));
+  const vectors = tfidfVectors(docs.map(doc => termCounts(doc.fields)));
+
+  let updated = 0;
+  docs.forEach((doc, i) => {
+    const related = docs
+      .map((other, j) => ({
+        other,
+        score: i === j ? 0 : CONTENT_WEIGHT * cosine(vectors[i], vectors[j]) +
+          (1 - CONTENT_WEIGHT) * tagOverlap(doc.tags, other.tags),
+      }))
+      .filter(({ score }) => score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RELATED_COUNT)
+      .map(({ other, score }) => ({
+        type: other.type,
+        slug: other.slug,
+        title: other.title,
+        description: other.description,
+        url: other.url,
+        score: Math.round(score * 1000) / 1000,
+      }));
+
+    const raw = readFileSync(doc.renderedPath, 'utf-8');
+    const data = JSON.parse(raw);
+    data.related = related;
+    const output = JSON.stringify(data, null, 2);
+    if (output !== raw) {
+      writeFileSync(doc.renderedPath, output);
+      updated++;
+    }
+  });
+
+  console.log(`[build-related] Linked ${docs.length} document(s); ${updated} file(s) updated`);
+  return { documents: docs.length, updated };
+}
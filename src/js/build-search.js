@@ -0,0 +1,110 @@
+/**
+ * @file Search Index Builder — generates a site-wide full-text search index.
+ * @description Reads the generated blog and tutorial output plus the project list,
+ * tokenizes each document's fields (full post HTML, notebook markdown and code
+ * cells, project descriptions) with the shared tokenizer, and writes a compact
+ * inverted index with per-field boosts to public/search-index.json. Queried in
+ * the browser by search.js. Run through build.js (step "search"), after the blog
+ * and notebook steps.
+ *
+ * Inputs:  public/blog/_posts.json + _rendered/, public/tutorials/_notebooks.json +
+ *          _rendered/, public/projects/_projects.json
+ * Outputs: public/search-index.json
+ *
+ * Index format:
+ *   docs:  [{ type, slug, title, url, description, text }]  — text is a short
+ *          plain-text excerpt from the start of the body, shown as the snippet
+ *   terms: { term: [docId, weight, docId, weight, ...] }   — weight is the
+ *          boosted, log-scaled term frequency summed over fields
+ */
+
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { tokenize } from './tokenize.js';
+import { PUBLIC, collectPosts, collectTutorials, collectProjects } from './site-content.js';
+
+const OUTPUT_INDEX = join(PUBLIC, 'search-index.json');
+
+/** Score multiplier per field — a title hit outranks many body hits */
+const FIELD_BOOSTS = {
+  title: 6,
+  tags: 4,
+  description: 2,
+  body: 1,
+  code: 0.5,
+};
+
+/** Characters of body text kept per document for its snippet; every page loads the index */
+const EXCERPT_LENGTH = 300;
+
+/**
+ * Cut body text down to a snippet excerpt, at a word boundary where possible.
+ * @param {string} text - Plain body text.
+ * @returns {string} At most EXCERPT_LENGTH characters.
+ */
+function excerpt(text) {
+  if (text.length <= EXCERPT_LENGTH) return text;
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  const space = cut.lastIndexOf(' ');
+  return space > EXCERPT_LENGTH / 2 ? cut.slice(0, space) : cut;
+}
+
+/**
+ * Build the inverted index. Each field's term frequency is log-scaled
+ * (1 + ln tf) so long documents don't drown out short ones, then multiplied
+ * by the field boost and summed per document.
+ * @param {object[]} docs - Collected documents.
+ * @returns {object} Serializable index ({ version, docs, terms }).
+ */
+function buildIndex(docs) {
+  const postings = new Map();
+
+  docs.forEach((doc, docId) => {
+    const weights = new Map();
+    for (const [field, text] of Object.entries(doc.fields)) {
+      const counts = new Map();
+      for (const term of tokenize(text)) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, tf] of counts) {
+        const weight = FIELD_BOOSTS[field] * (1 + Math.log(tf));
+        weights.set(term, (weights.get(term) || 0) + weight);
+      }
+    }
+    for (const [term, weight] of weights) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(docId, Math.round(weight * 100) / 100);
+    }
+  });
+
+  // Sorted terms keep the output deterministic and let the client binary-search prefixes
+  const terms = {};
+  for (const term of [...postings.keys()].sort()) terms[term] = postings.get(term);
+
+  return {
+    version: 1,
+    docs: docs.map(({ type, slug, url, title, description, fields }) => ({
+      type,
+      slug,
+      url,
+      title,
+      description,
+      text: excerpt(fields.body || ''),
+    })),
+    terms,
+  };
+}
+
+/**
+ * Build the search index from all collected content.
+ * @returns {{ documents: number, terms: number }} Summary of the build.
+ */
+export function buildSearchIndex() {
+  const docs = [...collectPosts(), ...collectTutorials(), ...collectProjects()];
+  const index = buildIndex(docs);
+  writeFileSync(OUTPUT_INDEX, JSON.stringify(index));
+
+  const counts = ['post', 'tutorial', 'project']
+    .map(type => `${docs.filter(d => d.type === type).length} ${type}(s)`)
+    .join(', ');
+  console.log(`[build-search] Indexed ${counts}; ${Object.keys(index.terms).length} terms`);
+  return { documents: docs.length, terms: Object.keys(index.terms).length };
+}
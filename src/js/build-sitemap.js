@@ -1,21 +1,22 @@
 /**
  * @file Sitemap Generator — produces sitemap.xml for all site pages.
- * @description Scans static HTML pages plus generated blog post and tutorial slugs,
+ * @description Scans static HTML pages plus generated blog post and tutorial slugs
+ * (listed at their pre-rendered /blog/<slug>/ and /tutorials/<slug>/ paths),
  * then writes a sitemap.xml to `public/` for search engine indexing.
- * Run as part of the prebuild/predev hook.
+ * Run through build.js (step "sitemap"), after the blog and notebook steps.
  * @module build-sitemap
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { writeFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { SITE_URL, postUrl, tutorialUrl } from './urls.js';
+import { readJsonSafe } from './site-content.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT = resolve(__dirname, '../..');
 
-const BASE_URL = 'https://shushankai.github.io';
-
 /** Static pages with their relative paths */
 const STATIC_PAGES = [
   '/',
@@ -25,26 +26,12 @@ const STATIC_PAGES = [
   '/tutorials/',
 ];
 
-/**
- * Read JSON file safely, returning an empty array on failure.
- * @param {string} filePath - Absolute path to JSON file.
- * @returns {Array} Parsed array or empty array.
- */
-function readJsonSafe(filePath) {
-  try {
-    if (!existsSync(filePath)) return [];
-    return JSON.parse(readFileSync(filePath, 'utf-8'));
-  } catch {
-    return [];
-  }
-}
-
 /**
  * Generate sitemap.xml content from page URLs.
  * @param {string[]} urls - Array of full URLs.
  * @returns {string} XML sitemap string.
  */
-function buildSitemap(urls) {
+function renderSitemapXml(urls) {
   const entries = urls.map(url =>
     `  <url>\n    <loc>${url}</loc>\n  </url>`
   ).join('\n');
@@ -56,32 +43,38 @@ ${entries}
 `;
 }
 
-// Collect all URLs
-const urls = [];
+/**
+ * Collect every page URL and write public/sitemap.xml.
+ * @returns {{ urls: number }} Number of URLs listed.
+ */
+export function buildSitemap() {
+  const urls = [];
 
-// Static pages
-STATIC_PAGES.forEach(path => {
-  urls.push(`${BASE_URL}${path}`);
-});
+  // Static pages
+  STATIC_PAGES.forEach(path => {
+    urls.push(`${SITE_URL}${path}`);
+  });
 
-// Blog post slugs
-const posts = readJsonSafe(resolve(ROOT, 'public/blog/_posts.json'));
-posts.forEach(post => {
-  if (post.slug) {
-    urls.push(`${BASE_URL}/blog/post.html?slug=${encodeURIComponent(post.slug)}`);
-  }
-});
+  // Blog post slugs
+  const posts = readJsonSafe(resolve(ROOT, 'public/blog/_posts.json'), []);
+  posts.forEach(post => {
+    if (post.slug) {
+      urls.push(`${SITE_URL}${postUrl(post.slug)}`);
+    }
+  });
 
-// Tutorial slugs
-const tutorials = readJsonSafe(resolve(ROOT, 'public/tutorials/_notebooks.json'));
-tutorials.forEach(t => {
-  if (t.slug) {
-    urls.push(`${BASE_URL}/tutorials/view.html?nb=${encodeURIComponent(t.slug)}`);
-  }
-});
+  // Tutorial slugs
+  const tutorials = readJsonSafe(resolve(ROOT, 'public/tutorials/_notebooks.json'), []);
+  tutorials.forEach(t => {
+    if (t.slug) {
+      urls.push(`${SITE_URL}${tutorialUrl(t.slug)}`);
+    }
+  });
 
-// Write sitemap
-const sitemap = buildSitemap(urls);
-const outPath = resolve(ROOT, 'public/sitemap.xml');
-writeFileSync(outPath, sitemap, 'utf-8');
-console.log(`[build-sitemap] Generated ${outPath} with ${urls.length} URLs`);
+  // Write sitemap
+  const sitemap = renderSitemapXml(urls);
+  const outPath = resolve(ROOT, 'public/sitemap.xml');
+  writeFileSync(outPath, sitemap, 'utf-8');
+  console.log(`[build-sitemap] Generated ${outPath} with ${urls.length} URLs`);
+  return { urls: urls.length };
+}
@@ -0,0 +1,217 @@
+/**
+ * @file Build Orchestrator — runs the content build steps in dependency order.
+ * @description Single entry point for generating the site's content under public/
+ * (and, after `vite build`, the pre-rendered pages in dist/). Each step is an
+ * importable builder function; this module runs them in order, can restrict the
+ * run to some steps, and can watch the content sources and rebuild on change.
+ *
+ * Usage:
+ *   node src/js/build.js [--only <step>[,<step>...]] [--watch] [--verbose] [--strict]
+ *                        [--offline] [--feed-file [<id>=]<path>]...
+ *
+ *   --only       Run just these steps (still in dependency order). Their inputs
+ *                must already exist from an earlier build.
+ *   --watch      After building, watch notebooks, blog sources and the project list,
+ *                and rebuild what changed. A changed .ipynb rebuilds only that notebook,
+ *                then the steps that read the notebooks; a changed tutorials/paths.json
+ *                or launch.json rebuilds every notebook.
+ *   --verbose    Log per-item progress and step timings.
+ *   --strict     Fail the build on notebook check warnings too, not just on checks
+ *                set to "fail" (see notebook-checks.js); also NOTEBOOKS_STRICT=1.
+ *   --offline, --feed-file
+ *                Blog feed options (see build-blog.js); also read from
+ *                BLOG_OFFLINE=1 and BLOG_FEED_FILE. --offline also keeps the
+ *                pyodide step to cached package wheels (see build-pyodide.js).
+ *
+ * Steps (default run excludes "pages", which needs dist/ from `vite build`):
+ *   notebooks → pyodide → blog → search → related → feeds → sitemap    (+ pages)
+ *
+ * In `npm run dev` the Vite config calls watchContent() and reloads the browser
+ * after each rebuild.
+ */
+
+import { watch, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { parseArgs } from 'util';
+import { buildNotebooks, buildNotebook } from './build-notebooks.js';
+import { buildPyodide } from './build-pyodide.js';
+import { buildBlog } from './build-blog.js';
+import { buildSearchIndex } from './build-search.js';
+import { buildRelated } from './build-related.js';
+import { buildFeeds } from './build-feeds.js';
+import { buildSitemap } from './build-sitemap.js';
+import { buildPages } from './build-pages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT = join(__dirname, '..', '..');
+
+const NOTEBOOKS_DIR = join(ROOT, 'tutorials', 'notebooks');
+
+/** Wait this long after the last change before rebuilding, so saves batch up */
+const WATCH_DEBOUNCE_MS = 150;
+
+/**
+ * Build steps in dependency order. `after` lists the inputs a step reads
+ * (steps, or "projects" for the hand-maintained project list) so watch mode
+ * knows what to rerun; `postBuild` steps only run when asked for by name.
+ */
+const STEPS = [
+  { name: 'notebooks', run: options => buildNotebooks(options) },
+  { name: 'pyodide', after: ['notebooks'], run: options => buildPyodide(options) },
+  { name: 'blog', run: options => buildBlog(options) },
+  { name: 'search', after: ['notebooks', 'blog', 'projects'], run: () => buildSearchIndex() },
+  { name: 'related', after: ['notebooks', 'blog'], run: () => buildRelated() },
+  { name: 'feeds', after: ['notebooks', 'blog'], run: () => buildFeeds() },
+  { name: 'sitemap', after: ['notebooks', 'blog'], run: () => buildSitemap() },
+  { name: 'pages', postBuild: true, run: () => buildPages() },
+];
+
+/**
+ * Run steps one after another, timing each in verbose mode.
+ * @param {object[]} steps - Steps from STEPS.
+ * @param {object} options - Builder options (verbose, offline, feedFiles).
+ */
+async function runSteps(steps, options) {
+  for (const step of steps) {
+    const started = Date.now();
+    if (options.verbose) console.log(`\n▸ ${step.name}`);
+    await step.run(options);
+    if (options.verbose) console.log(`  ${step.name} finished in ${Date.now() - started} ms`);
+  }
+}
+
+/**
+ * Run the build.
+ * @param {object} [options]
+ * @param {string[]} [options.only] - Step names to run; defaults to every non-postBuild step.
+ * @param {boolean} [options.verbose] - Log per-item progress and timings.
+ * @param {boolean} [options.strict] - Notebooks: fail on check warnings.
+ * @param {boolean} [options.offline] - Blog: use cached feeds only; pyodide: cached wheels only.
+ * @param {string[]} [options.feedFiles] - Blog: feed fixtures.
+ * @returns {Promise<string[]>} Names of the steps that ran.
+ */
+export async function runBuild({ only, ...options } = {}) {
+  if (only) {
+    const unknown = only.filter(name => !STEPS.some(step => step.name === name));
+    if (unknown.length) {
+      throw new Error(`Unknown build step(s): ${unknown.join(', ')} (expected ${STEPS.map(s => s.name).join(', ')})`);
+    }
+  }
+  const steps = only
+    ? STEPS.filter(step => only.includes(step.name))
+    : STEPS.filter(step => !step.postBuild);
+  await runSteps(steps, options);
+  return steps.map(step => step.name);
+}
+
+/**
+ * Watch the content sources and rebuild what changed: a changed notebook is
+ * rebuilt on its own, blog sources rerun the blog step, and the steps reading
+ * either (or the project list) follow. Rebuilds never overlap; changes made
+ * during one are picked up by the next.
+ * @param {object} [options] - Builder options, as for runBuild().
+ * @param {function(): void} [onRebuild] - Called after each successful rebuild.
+ * @returns {{ close: function(): void }} Handle to stop watching.
+ */
+export function watchContent(options = {}, onRebuild = () => {}) {
+  const pending = { notebooks: new Set(), inputs: new Set() };
+  let timer = null;
+  let running = Promise.resolve();
+
+  const rebuild = async () => {
+    const notebooks = [...pending.notebooks];
+    const changed = new Set(pending.inputs);
+    pending.notebooks.clear();
+    pending.inputs.clear();
+
+    if (changed.has('tutorials')) {
+      buildNotebooks(options);
+      changed.add('notebooks');
+    } else {
+      for (const file of notebooks) {
+        buildNotebook(join(NOTEBOOKS_DIR, file), options);
+        changed.add('notebooks');
+      }
+    }
+    if (changed.has('blog')) await buildBlog(options);
+
+    await runSteps(STEPS.filter(step => step.after?.some(input => changed.has(input))), options);
+    onRebuild();
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running.then(rebuild).catch(err => console.error('[build] Rebuild failed:', err.message));
+    }, WATCH_DEBOUNCE_MS);
+  };
+
+  /** Directories to watch and how a changed file name maps to work */
+  const sources = [
+    { dir: NOTEBOOKS_DIR, match: f => f.endsWith('.ipynb'), add: f => pending.notebooks.add(f) },
+    { dir: join(ROOT, 'tutorials'), match: f => f === 'paths.json' || f === 'launch.json', add: () => pending.inputs.add('tutorials') },
+    { dir: join(ROOT, 'blog', 'posts'), match: f => f.endsWith('.md'), add: () => pending.inputs.add('blog') },
+    { dir: join(ROOT, 'blog'), match: f => f === 'feeds.json' || f === 'slugs.json', add: () => pending.inputs.add('blog') },
+    { dir: join(ROOT, 'public', 'projects'), match: f => f === '_projects.json', add: () => pending.inputs.add('projects') },
+  ];
+
+  const watchers = sources
+    .filter(({ dir }) => existsSync(dir))
+    .map(({ dir, match, add }) => watch(dir, (_event, filename) => {
+      if (!filename || !match(filename)) return;
+      if (options.verbose) console.log(`[build] Changed: ${join(dir, filename)}`);
+      add(filename);
+      schedule();
+    }));
+
+  console.log('[build] Watching content sources for changes...');
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers) watcher.close();
+    },
+  };
+}
+
+/**
+ * Parse command-line flags into build options.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {object} Options for runBuild(), plus `watch`.
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      only: { type: 'string', multiple: true },
+      watch: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+      offline: { type: 'boolean', default: false },
+      'feed-file': { type: 'string', multiple: true },
+    },
+  });
+  const feedFiles = values['feed-file'] || (process.env.BLOG_FEED_FILE || '').split(',').filter(Boolean);
+  return {
+    only: values.only ? values.only.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean) : undefined,
+    watch: values.watch,
+    verbose: values.verbose,
+    strict: values.strict || process.env.NOTEBOOKS_STRICT === '1',
+    offline: values.offline || process.env.BLOG_OFFLINE === '1',
+    feedFiles,
+  };
+}
+
+// Run as a script (not when imported by vite.config.js or tests)
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  const { watch: watchMode, ...options } = parseCliArgs(process.argv.slice(2));
+  try {
+    await runBuild(options);
+    if (watchMode) watchContent(options);
+  } catch (err) {
+    console.error(`[build] ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * @file Math delimiters — finds TeX math in Markdown for the build-time renderers.
+ * @description Math is typeset at build time (render-math.js). Markdown renderers
+ * swap each formula for a placeholder before parsing and put the typeset HTML
+ * back afterwards, so Markdown syntax never touches TeX. The rules live here,
+ * apart from KaTeX, and have no DOM or Node dependencies.
+ *
+ * Delimiters: $$…$$ for display math (may span lines) and $…$ for inline math.
+ * An inline $ must be followed by a non-space and the closing $ preceded by a
+ * non-space and not followed by a digit, so prices like "$5 and $10" stay text.
+ * Inline math ends at a paragraph break or code span. \$ is a literal dollar
+ * sign. Code fences and code spans are never searched.
+ * @module math
+ */
+
+/**
+ * Find the end of the code span that opens at a run of backticks.
+ * @param {string} md - Markdown source.
+ * @param {number} start - Index of the first backtick.
+ * @returns {number} Index just past the span (or past the backticks if unclosed).
+ */
+function skipCodeSpan(md, start) {
+  let ticks = 0;
+  while (md[start + ticks] === '`') ticks++;
+  const fence = '`'.repeat(ticks);
+  let search = start + ticks;
+  for (;;) {
+    const close = md.indexOf(fence, search);
+    if (close === -1) return start + ticks;
+    if (md[close + ticks] !== '`') return close + ticks;
+    search = close + ticks;
+    while (md[search] === '`') search++;
+  }
+}
+
+/**
+ * Find the end of the fenced code block that opens on the line at `start`.
+ * @param {string} md - Markdown source.
+ * @param {number} start - Index of the start of a line.
+ * @returns {number} Index just past the block, or -1 if the line opens no fence.
+ */
+function skipFence(md, start) {
+  const open = md.slice(start).match(/^ {0,3}(`{3,}|~{3,})[^\n]*(?:\n|$)/);
+  if (!open) return -1;
+  const closing = new RegExp(`^ {0,3}${open[1][0]}{${open[1].length},}[ \\t]*$`, 'm');
+  const rest = md.slice(start + open[0].length);
+  const close = rest.match(closing);
+  if (!close) return md.length;
+  const end = start + open[0].length + close.index + close[0].length;
+  return md[end] === '\n' ? end + 1 : end;
+}
+
+/**
+ * Find the closing $ of an inline formula.
+ * @param {string} md - Markdown source.
+ * @param {number} start - Index of the opening $.
+ * @returns {number} Index of the closing $, or -1 if the $ opens no formula.
+ */
+function findInlineClose(md, start) {
+  if (!md[start + 1] || /\s/.test(md[start + 1])) return -1;
+  for (let i = start + 1; i < md.length; i++) {
+    if (md[i] === '\\') { i++; continue; }
+    if (md[i] === '`' || (md[i] === '\n' && md[i + 1] === '\n')) return -1;
+    if (md[i] === '$') {
+      return /\s/.test(md[i - 1]) || /\d/.test(md[i + 1] || '') ? -1 : i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find every formula in a Markdown string, outside code.
+ * @param {string} md - Markdown source.
+ * @returns {{ start: number, end: number, tex: string, display: boolean }[]} Formulas
+ *   in document order; `start`/`end` cover the delimiters.
+ */
+export function findMath(md) {
+  const formulas = [];
+  let i = 0;
+
+  while (i < md.length) {
+    if (i === 0 || md[i - 1] === '\n') {
+      const fenceEnd = skipFence(md, i);
+      if (fenceEnd !== -1) { i = fenceEnd; continue; }
+    }
+
+    const ch = md[i];
+    if (ch === '\\') { i += 2; continue; }
+    if (ch === '`') { i = skipCodeSpan(md, i); continue; }
+
+    if (ch === '$' && md[i + 1] === '$') {
+      const close = md.indexOf('$$', i + 2);
+      if (close !== -1 && md.slice(i + 2, close).trim()) {
+        formulas.push({ start: i, end: close + 2, tex: md.slice(i + 2, close).trim(), display: true });
+        i = close + 2;
+        continue;
+      }
+      i += 2;
+      continue;
+    }
+
+    if (ch === '$') {
+      const close = findInlineClose(md, i);
+      if (close !== -1) {
+        formulas.push({ start: i, end: close + 1, tex: md.slice(i + 1, close), display: false });
+        i = close + 1;
+        continue;
+      }
+    }
+    i++;
+  }
+
+  return formulas;
+}
+
+/**
+ * Placeholder left in the Markdown for formula `index`. Plain word characters,
+ * so no Markdown parser treats it as syntax.
+ * @param {number} index - Formula index.
+ * @returns {string} Placeholder text.
+ */
+export function mathPlaceholder(index) {
+  return `MATHPLACEHOLDER${index}X`;
+}
+
+/**
+ * Replace every formula in a Markdown string with its placeholder.
+ * @param {string} md - Markdown source.
+ * @returns {string} Markdown with formulas swapped out.
+ */
+export function protectMath(md) {
+  let out = '';
+  let last = 0;
+  findMath(md).forEach(({ start, end }, index) => {
+    out += md.slice(last, start) + mathPlaceholder(index);
+    last = end;
+  });
+  return out + md.slice(last);
+}
+
+/**
+ * Put typeset formulas back in place of their placeholders.
+ * @param {string} html - Rendered HTML containing placeholders.
+ * @param {string[]} math - Typeset HTML per formula, in findMath() order.
+ * @returns {string} HTML with formulas restored.
+ */
+export function restoreMath(html, math) {
+  return html.replace(/MATHPLACEHOLDER(\d+)X/g, (placeholder, index) => math[index] ?? placeholder);
+}
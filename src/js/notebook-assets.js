@@ -0,0 +1,187 @@
+/**
+ * @file Notebook Assets — publishes notebook images as content-hashed files.
+ * @description Images from notebooks are written to public/tutorials/_assets/
+ * as <hash>.<ext>, where the hash is of the file's bytes, instead of being
+ * inlined as data URIs. The rendered JSON stays small, each image is cached on
+ * its own, and an unchanged image keeps its URL across builds. Pixel dimensions
+ * are read from the file header so pages can reserve the space up front.
+ * Used by build-notebooks.js.
+ * @module notebook-assets
+ */
+
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync, unlinkSync } from 'fs';
+import { join, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT = join(__dirname, '..', '..');
+
+const ASSETS_DIR = join(ROOT, 'public', 'tutorials', '_assets');
+const ASSETS_URL = '/tutorials/_assets';
+
+/** Asset extension per image file extension */
+const FILE_EXTENSIONS = { png: 'png', jpg: 'jpg', jpeg: 'jpg', gif: 'gif', webp: 'webp', svg: 'svg' };
+
+/** Characters of the SHA-256 hex digest used in asset filenames */
+const HASH_LENGTH = 16;
+
+/** File extension per image MIME type */
+export const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+/**
+ * Read PNG dimensions from the IHDR chunk.
+ * @param {Buffer} buf - File bytes.
+ * @returns {{ width: number, height: number }|null} Dimensions, or null.
+ */
+function pngSize(buf) {
+  if (buf.length < 24 || buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+/**
+ * Read GIF dimensions from the logical screen descriptor.
+ * @param {Buffer} buf - File bytes.
+ * @returns {{ width: number, height: number }|null} Dimensions, or null.
+ */
+function gifSize(buf) {
+  if (buf.length < 10 || buf.toString('ascii', 0, 3) !== 'GIF') return null;
+  return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+}
+
+/**
+ * Read JPEG dimensions from the first start-of-frame marker.
+ * @param {Buffer} buf - File bytes.
+ * @returns {{ width: number, height: number }|null} Dimensions, or null.
+ */
+function jpegSize(buf) {
+  let offset = 2;
+  while (offset + 9 < buf.length) {
+    if (buf[offset] !== 0xFF) return null;
+    const marker = buf[offset + 1];
+    // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buf.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Read WebP dimensions (lossy, lossless and extended formats).
+ * @param {Buffer} buf - File bytes.
+ * @returns {{ width: number, height: number }|null} Dimensions, or null.
+ */
+function webpSize(buf) {
+  if (buf.length < 30 || buf.toString('ascii', 8, 12) !== 'WEBP') return null;
+  const format = buf.toString('ascii', 12, 16);
+  if (format === 'VP8 ') return { width: buf.readUInt16LE(26) & 0x3FFF, height: buf.readUInt16LE(28) & 0x3FFF };
+  if (format === 'VP8L') {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (format === 'VP8X') return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  return null;
+}
+
+/**
+ * Read SVG dimensions from the root element's width/height (unitless or px),
+ * falling back to its viewBox.
+ * @param {Buffer} buf - File bytes.
+ * @returns {{ width: number, height: number }|null} Dimensions, or null.
+ */
+function svgSize(buf) {
+  const root = buf.toString('utf-8').match(/<svg\b[^>]*>/i);
+  if (!root) return null;
+  const attr = name => root[0].match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+  const px = value => (/^\s*[\d.]+(px)?\s*$/.test(value || '') ? Math.round(parseFloat(value)) : null);
+  const width = px(attr('width'));
+  const height = px(attr('height'));
+  if (width && height) return { width, height };
+  const viewBox = (attr('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+  return null;
+}
+
+/** Dimension readers per file extension */
+const SIZE_READERS = { png: pngSize, gif: gifSize, jpg: jpegSize, webp: webpSize, svg: svgSize };
+
+/**
+ * Read an image's pixel dimensions from its header.
+ * @param {Buffer} buf - File bytes.
+ * @param {string} ext - File extension (see IMAGE_EXTENSIONS).
+ * @returns {{ width: number, height: number }|null} Dimensions, or null if unreadable.
+ */
+export function imageSize(buf, ext) {
+  try {
+    const size = SIZE_READERS[ext]?.(buf);
+    return size && size.width > 0 && size.height > 0 ? size : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Publish image bytes as a content-hashed asset (written only if new).
+ * @param {Buffer} buf - File bytes.
+ * @param {string} ext - File extension (see IMAGE_EXTENSIONS).
+ * @returns {{ src: string, width?: number, height?: number }} Asset URL and, when
+ *   readable, pixel dimensions.
+ */
+export function writeImageAsset(buf, ext) {
+  const name = `${createHash('sha256').update(buf).digest('hex').slice(0, HASH_LENGTH)}.${ext}`;
+  const file = join(ASSETS_DIR, name);
+  if (!existsSync(file)) {
+    mkdirSync(ASSETS_DIR, { recursive: true });
+    writeFileSync(file, buf);
+  }
+  return { src: `${ASSETS_URL}/${name}`, ...imageSize(buf, ext) };
+}
+
+/**
+ * Publish an image file from disk as a content-hashed asset.
+ * @param {string} path - Absolute path to the image.
+ * @returns {{ src: string, width?: number, height?: number }|null} Asset URL and
+ *   size, or null if the file type is not a supported image.
+ */
+export function publishImageFile(path) {
+  const ext = FILE_EXTENSIONS[extname(path).slice(1).toLowerCase()];
+  return ext ? writeImageAsset(readFileSync(path), ext) : null;
+}
+
+/**
+ * Delete assets no rendered notebook (or notebook export) refers to any more.
+ * @param {string[]} dirs - Directories of rendered notebook JSON and exports.
+ * @returns {number} Number of files removed.
+ */
+export function pruneAssets(dirs) {
+  if (!existsSync(ASSETS_DIR) || !dirs.some(dir => existsSync(dir))) return 0;
+
+  const used = new Set();
+  const pattern = new RegExp(`${ASSETS_URL}/([0-9a-f]{${HASH_LENGTH}}\\.\\w+)`, 'g');
+  for (const dir of dirs.filter(dir => existsSync(dir))) {
+    for (const file of readdirSync(dir).filter(f => /\.(json|md)$/.test(f))) {
+      for (const [, name] of readFileSync(join(dir, file), 'utf-8').matchAll(pattern)) used.add(name);
+    }
+  }
+
+  let removed = 0;
+  for (const name of readdirSync(ASSETS_DIR)) {
+    if (!used.has(name)) {
+      unlinkSync(join(ASSETS_DIR, name));
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,71 @@
+/**
+ * @file Notebook Charts — interactive Plotly and Vega-Lite outputs.
+ * @description Loaded on demand by notebook-renderer.js when a tutorial has chart
+ * outputs. Each chart library is bundled as its own chunk and imported only when
+ * a chart of that kind is on the page. Both runtimes are CSP-safe builds (no
+ * eval): the strict Plotly bundle, and Vega with its AST expression interpreter.
+ * Placeholders already show the notebook's PNG fallback, which stays in place
+ * if a runtime fails to load or a spec fails to render.
+ * @module notebook-charts
+ */
+
+/** Loaders per chart kind, each resolving to a render(el, spec) function */
+const RUNTIMES = {
+  plotly: () => import('plotly.js-strict-dist-min').then(({ default: Plotly }) =>
+    (el, spec) => Plotly.newPlot(el, spec.data || [], spec.layout || {}, {
+      responsive: true,
+      displaylogo: false,
+      ...spec.config,
+    })
+  ),
+  vegalite: () => Promise.all([import('vega-embed'), import('vega-interpreter')]).then(
+    ([{ default: vegaEmbed }, { expressionInterpreter }]) =>
+      (el, spec) => vegaEmbed(el, spec, { ast: true, expr: expressionInterpreter, actions: false })
+  ),
+};
+
+/** Runtime promises, so each library is imported at most once */
+const loaded = {};
+
+/**
+ * Load the runtime for a chart kind.
+ * @param {string} chart - Chart kind ("plotly" or "vegalite").
+ * @returns {Promise<function(HTMLElement, object): Promise>} Render function.
+ */
+function loadRuntime(chart) {
+  if (!RUNTIMES[chart]) return Promise.reject(new Error(`Unknown chart type: ${chart}`));
+  loaded[chart] = loaded[chart] || RUNTIMES[chart]();
+  return loaded[chart];
+}
+
+/**
+ * Render every chart placeholder in a container. Placeholders carry the cell
+ * and output index of their chart output (data-cell, data-output).
+ * @param {HTMLElement} container - Element holding the rendered cells.
+ * @param {object[]} cells - The notebook's processed cells.
+ * @returns {Promise<void>} Resolves once every chart has rendered or fallen back.
+ */
+export async function mountCharts(container, cells) {
+  const placeholders = container.querySelectorAll('.nb-output-chart[data-cell][data-output]');
+
+  await Promise.all(Array.from(placeholders).map(async (placeholder) => {
+    const output = cells[placeholder.dataset.cell]?.outputs?.[placeholder.dataset.output];
+    if (!output || output.type !== 'chart') return;
+
+    // Charts size themselves from their container, so render in place
+    const target = document.createElement('div');
+    target.className = 'nb-chart';
+    try {
+      const render = await loadRuntime(output.chart);
+      placeholder.prepend(target);
+      await render(target, output.spec);
+      placeholder.replaceChildren(target);
+      placeholder.classList.add('is-interactive');
+    } catch (err) {
+      // Keep the static fallback (or say why there is nothing to show)
+      target.remove();
+      console.warn(`[notebook-charts] Could not render ${output.chart} chart:`, err);
+      if (!output.fallback) placeholder.textContent = 'This chart could not be displayed.';
+    }
+  }));
+}
@@ -0,0 +1,190 @@
+/**
+ * @file Notebook Checks — quality checks run while building notebooks.
+ * @description Catches notebooks that are not ready to publish:
+ *   frontmatter      no frontmatter block, or no title / description in it
+ *   unexecuted       code cells that were never run (no execution count)
+ *   executionOrder   execution counts that do not increase top to bottom
+ *   errorOutput      error outputs left in published cells (cells tagged
+ *                    `raises-exception` are expected to fail and are skipped)
+ *   largeOutput      published outputs over a size limit (default 1 MiB per cell)
+ *   processing       the notebook could not be built at all
+ * Each check has a severity, set in tutorials/checks.json:
+ *   {
+ *     "unexecuted": "warn",
+ *     "errorOutput": "fail",
+ *     "largeOutput": { "severity": "warn", "maxBytes": 2097152 }
+ *   }
+ * "warn" reports the problem, "fail" also fails the build, "off" skips the
+ * check. Checks left out of the config warn. In strict mode (`--strict`)
+ * every warning fails the build too.
+ *
+ * build-notebooks.js writes the results to public/tutorials/_checks.json:
+ *   {
+ *     "strict": false,
+ *     "passed": true,
+ *     "summary": { "notebooks": 2, "warnings": 3, "failures": 0 },
+ *     "notebooks": [{ "filename", "slug", "issues": [{ check, severity, message, cells? }] }]
+ *   }
+ * `severity` there is the configured one; in strict mode every issue counts
+ * as a failure. `cells` are 1-based positions in the .ipynb file, as Jupyter
+ * counts them.
+ * @module notebook-checks
+ */
+
+import { Buffer } from 'buffer';
+
+/** Severity per check when the config does not set one */
+const DEFAULT_SEVERITY = 'warn';
+
+/** Checks, in report order, with their default options */
+const CHECKS = {
+  frontmatter: {},
+  unexecuted: {},
+  executionOrder: {},
+  errorOutput: {},
+  largeOutput: { maxBytes: 1024 * 1024 },
+  processing: {},
+};
+
+const SEVERITIES = ['warn', 'fail', 'off'];
+
+/**
+ * Read the checks config, filling in defaults.
+ * @param {object} raw - Parsed tutorials/checks.json (empty when there is none).
+ * @param {function(string): void} [warn] - Reports config problems.
+ * @returns {object} Check name to { severity, ...options }.
+ */
+export function readChecksConfig(raw, warn = () => {}) {
+  const config = {};
+  for (const [name, defaults] of Object.entries(CHECKS)) {
+    const value = raw?.[name];
+    const entry = typeof value === 'string' ? { severity: value } : { ...value };
+    if (entry.severity !== undefined && !SEVERITIES.includes(entry.severity)) {
+      warn(`checks config: "${name}" severity should be one of ${SEVERITIES.join(', ')} (got "${entry.severity}")`);
+      delete entry.severity;
+    }
+    config[name] = { ...defaults, severity: DEFAULT_SEVERITY, ...entry };
+  }
+  for (const name of Object.keys(raw || {})) {
+    if (!CHECKS[name]) warn(`checks config: unknown check "${name}"`);
+  }
+  return config;
+}
+
+/**
+ * Format cell positions for a message.
+ * @param {number[]} cells - 1-based cell positions.
+ * @returns {string} "cell 4" or "cells 4, 7, 9".
+ */
+function cellList(cells) {
+  return `cell${cells.length === 1 ? '' : 's'} ${cells.join(', ')}`;
+}
+
+/**
+ * Format a byte count.
+ * @param {number} bytes - Size in bytes.
+ * @returns {string} Size in KiB or MiB.
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MiB` : `${Math.ceil(bytes / 1024)} KiB`;
+}
+
+/**
+ * Run the checks on a notebook.
+ * @param {object} notebook
+ * @param {object[]} notebook.cells - Raw nbformat cells, frontmatter cell included.
+ * @param {boolean} notebook.hasFrontmatter - Whether the first cell holds frontmatter.
+ * @param {object} notebook.meta - Validated frontmatter.
+ * @param {function(object): Set<string>} notebook.tagsOf - Reads a cell's normalized tags.
+ * @param {object} config - Result of readChecksConfig.
+ * @returns {object[]} Issues as { check, severity, message, cells? }.
+ */
+export function checkNotebook({ cells, hasFrontmatter, meta, tagsOf }, config) {
+  const issues = [];
+  const report = (check, message, positions) => {
+    const { severity } = config[check];
+    if (severity === 'off') return;
+    issues.push({ check, severity, message, ...(positions ? { cells: positions } : {}) });
+  };
+
+  if (!hasFrontmatter) {
+    report('frontmatter', 'no frontmatter (title, description, tags, …) in the first cell');
+  } else {
+    const missing = ['title', 'description'].filter(key => !meta[key]);
+    if (missing.length) report('frontmatter', `frontmatter has no ${missing.join(' or ')}`);
+  }
+
+  const unexecuted = [];
+  const outOfOrder = [];
+  const errors = [];
+  const large = [];
+  let lastCount = 0;
+
+  cells.forEach((cell, i) => {
+    if (cell.cell_type !== 'code') return;
+    const position = i + 1;
+    const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source || '';
+    if (!source.trim()) return;
+
+    if (cell.execution_count == null) {
+      unexecuted.push(position);
+    } else {
+      if (cell.execution_count <= lastCount) outOfOrder.push(position);
+      lastCount = cell.execution_count;
+    }
+
+    // Only outputs that get published matter from here on
+    const tags = tagsOf(cell);
+    if (tags.has('remove-cell') || tags.has('remove-output')) return;
+    const outputs = cell.outputs || [];
+    if (!tags.has('raises-exception') && outputs.some(output => output.output_type === 'error')) {
+      errors.push(position);
+    }
+    const bytes = Buffer.byteLength(JSON.stringify(outputs));
+    if (bytes > config.largeOutput.maxBytes) large.push({ position, bytes });
+  });
+
+  if (unexecuted.length) report('unexecuted', `${unexecuted.length} code cell(s) never run: ${cellList(unexecuted)}`, unexecuted);
+  if (outOfOrder.length) {
+    report('executionOrder', `execution counts out of order at ${cellList(outOfOrder)} (restart and run all)`, outOfOrder);
+  }
+  if (errors.length) report('errorOutput', `error output in ${cellList(errors)}`, errors);
+  if (large.length) {
+    const sizes = large.map(({ position, bytes }) => `${position} (${formatSize(bytes)})`);
+    report('largeOutput', `output over ${formatSize(config.largeOutput.maxBytes)} in ${cellList(sizes)}`,
+      large.map(({ position }) => position));
+  }
+
+  return issues;
+}
+
+/**
+ * Report a notebook that could not be built.
+ * @param {string} message - The build error.
+ * @param {object} config - Result of readChecksConfig.
+ * @returns {object[]} The issue, or none if the check is off.
+ */
+export function processingIssue(message, config) {
+  const { severity } = config.processing;
+  return severity === 'off' ? [] : [{ check: 'processing', severity, message }];
+}
+
+/**
+ * Assemble the report, applying strict mode.
+ * @param {object[]} notebooks - Per-notebook results as { filename, slug, issues }.
+ * @param {boolean} strict - Treat warnings as failures.
+ * @returns {object} The report (see the module description).
+ */
+export function buildChecksReport(notebooks, strict) {
+  const results = notebooks
+    .map(({ filename, slug, issues }) => ({ filename, slug, issues }))
+    .sort((a, b) => a.filename.localeCompare(b.filename));
+  const all = results.flatMap(result => result.issues);
+  const failures = all.filter(issue => strict || issue.severity === 'fail').length;
+  return {
+    strict,
+    passed: failures === 0,
+    summary: { notebooks: results.length, warnings: all.length - failures, failures },
+    notebooks: results,
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * @file Notebook Exports — publishes each notebook's source for download.
+ * @description For every notebook, build-notebooks.js writes three files to
+ * public/tutorials/_downloads/: the original .ipynb, a jupytext-style percent
+ * script (.py for Python; .R, .jl, .js, .sh or .sql for other kernels) and a
+ * jupytext-style Markdown file. Exports keep every cell, including ones a tag
+ * hides on the site, so they run as written. The frontmatter becomes the
+ * export's YAML header, next to the `jupyter` metadata jupytext expects.
+ *
+ * "Open in Colab / Binder" links point at the notebook in the site's GitHub
+ * repository, configured in tutorials/launch.json:
+ *   {
+ *     "repository": "https://github.com/<owner>/<repo>",
+ *     "branch": "main",
+ *     "colab": true,
+ *     "binder": true
+ *   }
+ * Without a config (or with a repository outside GitHub) no links are shown.
+ * @module notebook-exports
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { join, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { stringify as stringifyYaml } from 'yaml';
+import { SITE_URL } from './urls.js';
+import { normalizeLanguage } from './render-code.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT = join(__dirname, '..', '..');
+
+/** Directory the exports are written to (also scanned by pruneAssets) */
+export const DOWNLOADS_DIR = join(ROOT, 'public', 'tutorials', '_downloads');
+const DOWNLOADS_URL = '/tutorials/_downloads';
+
+/** Script extension and line comment per kernel language (as jupytext writes them) */
+const SCRIPT_FORMATS = {
+  python: { ext: 'py', comment: '#' },
+  r: { ext: 'R', comment: '#' },
+  julia: { ext: 'jl', comment: '#' },
+  javascript: { ext: 'js', comment: '//' },
+  bash: { ext: 'sh', comment: '#' },
+  sql: { ext: 'sql', comment: '--' },
+};
+
+/** IPython magics and shell escapes, commented out in Python scripts */
+const MAGIC_PATTERN = /^(\s*)([%!])/gm;
+
+/** Site-relative URLs in Markdown links/images and HTML attributes */
+const SITE_RELATIVE_PATTERN = /(\]\(\s*<?|\b(?:src|href)\s*=\s*["'])\/(?!\/)/g;
+
+/**
+ * Make site-relative URLs (e.g. published images) absolute, so they resolve in
+ * a downloaded file.
+ * @param {string} source - Markdown source.
+ * @returns {string} Source with absolute URLs.
+ */
+function absolutizeMarkdown(source) {
+  return source.replace(SITE_RELATIVE_PATTERN, `$1${SITE_URL}/`);
+}
+
+/**
+ * Build the YAML header: the frontmatter plus jupytext's `jupyter` metadata.
+ * @param {object} frontmatter - Parsed frontmatter (may be empty).
+ * @param {object} kernel - Kernel details from the notebook metadata.
+ * @param {string} extension - Export file extension, with the dot.
+ * @param {string} formatName - jupytext format ("percent" or "markdown").
+ * @returns {string} YAML text, without the --- lines.
+ */
+function yamlHeader(frontmatter, kernel, extension, formatName) {
+  const jupyter = {
+    jupytext: { text_representation: { extension, format_name: formatName } },
+    ...(kernel.name ? {
+      kernelspec: { display_name: kernel.displayName || kernel.name, language: kernel.language, name: kernel.name },
+    } : {}),
+  };
+  return stringifyYaml({ ...frontmatter, jupyter }).trimEnd();
+}
+
+/**
+ * Format a cell's tags as a jupytext cell option.
+ * @param {string[]} tags - Cell tags.
+ * @returns {string} ` tags=[…]`, or an empty string.
+ */
+function tagOption(tags) {
+  return tags.length ? ` tags=${JSON.stringify(tags)}` : '';
+}
+
+/**
+ * Export cells as a jupytext percent-format script.
+ * @param {object[]} cells - Cells as { type, source, tags }.
+ * @param {object} frontmatter - Parsed frontmatter.
+ * @param {object} kernel - Kernel details.
+ * @returns {{ text: string, ext: string }} Script text and file extension.
+ */
+export function toPercentScript(cells, frontmatter, kernel) {
+  const language = normalizeLanguage(kernel.language) || 'python';
+  const { ext, comment } = SCRIPT_FORMATS[language];
+  const commentLines = text => text.split('\n').map(line => (line ? `${comment} ${line}` : comment)).join('\n');
+
+  const header = commentLines(`---\n${yamlHeader(frontmatter, kernel, `.${ext}`, 'percent')}\n---`);
+  const body = cells.map(cell => {
+    const tags = tagOption(cell.tags);
+    if (cell.type === 'code') {
+      const source = language === 'python' ? cell.source.replace(MAGIC_PATTERN, `$1${comment} $2`) : cell.source;
+      return `${comment} %%${tags}\n${source}`;
+    }
+    return `${comment} %% [${cell.type}]${tags}\n${commentLines(cell.source)}`;
+  });
+
+  return { text: `${[header, ...body].join('\n\n')}\n`, ext };
+}
+
+/**
+ * Export cells as jupytext-style Markdown: Markdown cells as written, code
+ * cells as fenced blocks in the kernel's language.
+ * @param {object[]} cells - Cells as { type, source, tags }.
+ * @param {object} frontmatter - Parsed frontmatter.
+ * @param {object} kernel - Kernel details.
+ * @returns {string} Markdown text.
+ */
+export function toMarkdown(cells, frontmatter, kernel) {
+  const header = `---\n${yamlHeader(frontmatter, kernel, '.md', 'markdown')}\n---`;
+  const fence = source => '`'.repeat(Math.max(3, ...(source.match(/`{3,}/g) || []).map(run => run.length + 1)));
+  const body = cells.map(cell => {
+    if (cell.type === 'markdown') return cell.source;
+    const marker = fence(cell.source);
+    const info = cell.type === 'code' ? `${kernel.language}${tagOption(cell.tags)}` : 'raw';
+    return `${marker}${info}\n${cell.source}\n${marker}`;
+  });
+  return `${[header, ...body].join('\n\n')}\n`;
+}
+
+/**
+ * Write a notebook's downloads: the original .ipynb, a percent script and a
+ * Markdown export.
+ * @param {string} slug - Notebook slug (the download filenames).
+ * @param {string} raw - The .ipynb file contents, published unchanged.
+ * @param {object[]} cells - Every cell as { type, source, tags }, frontmatter cell
+ *   excluded, with Markdown image URLs already published.
+ * @param {object} frontmatter - Parsed frontmatter.
+ * @param {object} kernel - Kernel details.
+ * @returns {{ notebook: string, script: string, markdown: string }} Download URLs.
+ */
+export function writeExports(slug, raw, cells, frontmatter, kernel) {
+  mkdirSync(DOWNLOADS_DIR, { recursive: true });
+  const exported = cells.map(cell => (cell.type === 'markdown' ? { ...cell, source: absolutizeMarkdown(cell.source) } : cell));
+  const script = toPercentScript(exported, frontmatter, kernel);
+
+  writeFileSync(join(DOWNLOADS_DIR, `${slug}.ipynb`), raw);
+  writeFileSync(join(DOWNLOADS_DIR, `${slug}.${script.ext}`), script.text);
+  writeFileSync(join(DOWNLOADS_DIR, `${slug}.md`), toMarkdown(exported, frontmatter, kernel));
+
+  return {
+    notebook: `${DOWNLOADS_URL}/${slug}.ipynb`,
+    script: `${DOWNLOADS_URL}/${slug}.${script.ext}`,
+    markdown: `${DOWNLOADS_URL}/${slug}.md`,
+  };
+}
+
+/**
+ * Build the "Open in Colab / Binder" links for a notebook in the repository.
+ * @param {object} config - Launch config (tutorials/launch.json).
+ * @param {string} filepath - Absolute path to the .ipynb file.
+ * @returns {{ colab?: string, binder?: string }} Links enabled in the config.
+ */
+export function launchLinks(config, filepath) {
+  const match = String(config.repository || '').match(/^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/);
+  if (!match) return {};
+  const [, owner, repo] = match;
+  const branch = config.branch || 'main';
+  const path = relative(ROOT, filepath).split(sep).join('/');
+  const links = {};
+  if (config.colab !== false) {
+    links.colab = `https://colab.research.google.com/github/${owner}/${repo}/blob/${encodeURIComponent(branch)}/${path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+  if (config.binder !== false) {
+    links.binder = `https://mybinder.org/v2/gh/${owner}/${repo}/${encodeURIComponent(branch)}?labpath=${encodeURIComponent(path)}`;
+  }
+  return links;
+}
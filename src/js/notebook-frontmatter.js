@@ -0,0 +1,184 @@
+/**
+ * @file Notebook Frontmatter — parses and validates tutorial metadata.
+ * @description A notebook's first cell may start with a YAML frontmatter block
+ * (between --- lines). It is parsed as full YAML — multi-line lists, nested maps,
+ * booleans and numbers all work — and then checked against FRONTMATTER_SCHEMA.
+ * Keys may be written in kebab-case (`my-key`) or camelCase (`myKey`). Unknown
+ * keys and values of the wrong type are dropped with a warning; everything else
+ * is returned typed, ready for the rendered notebook's `meta`.
+ *
+ * Schema (all keys optional):
+ *   title        string
+ *   description  string
+ *   tags         list of strings (a single string is accepted as a one-item list)
+ *   difficulty   "Beginner" | "Intermediate" | "Advanced" (any letter case)
+ *   duration     string, e.g. "30 min" (a bare number is read as text)
+ *   aliases      list of strings — slugs the notebook was published under before
+ *   series       string — name of the series the tutorial belongs to; tutorials
+ *                naming the same series are linked with prev/next navigation
+ *   order        number — position within the series (lowest first; tutorials
+ *                without one follow, oldest first)
+ *                The earlier map form `series: { name, part }` is still read,
+ *                as series: name and order: part (an `order` key wins over part).
+ *   packages     list of strings — Pyodide packages run mode loads before the
+ *                first cell (e.g. numpy, matplotlib)
+ * @module notebook-frontmatter
+ */
+
+import { parse as parseYaml } from 'yaml';
+
+/** Allowed frontmatter keys and the shape of their values */
+export const FRONTMATTER_SCHEMA = {
+  title: { type: 'string' },
+  description: { type: 'string' },
+  tags: { type: 'string[]' },
+  difficulty: { type: 'string', enum: ['Beginner', 'Intermediate', 'Advanced'] },
+  duration: { type: 'string' },
+  aliases: { type: 'string[]' },
+  packages: { type: 'string[]' },
+  series: { type: 'string' },
+  order: { type: 'number' },
+};
+
+/** The earlier `series: { name, part }` form, read into `series` and `order` */
+const LEGACY_SERIES = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true },
+    part: { type: 'number' },
+  },
+};
+
+/**
+ * Split the frontmatter block off a cell source and parse it as YAML.
+ * @param {string} text - Cell source starting with ---.
+ * @returns {{ data: object, error: string|null }} Parsed data (empty on error).
+ */
+export function parseFrontmatter(text) {
+  const match = text.match(/^---\s*\r?\n([\s\S]*?)\r?\n---\s*(?:\r?\n|$)/);
+  if (!match) return { data: {}, error: 'frontmatter block is not closed with ---' };
+  try {
+    const data = parseYaml(match[1]) ?? {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { data: {}, error: 'frontmatter must be a map of key: value pairs' };
+    }
+    return { data, error: null };
+  } catch (err) {
+    return { data: {}, error: `invalid YAML: ${err.message.split('\n')[0].replace(/:$/, '')}` };
+  }
+}
+
+/**
+ * Convert a kebab-case key to camelCase.
+ * @param {string} key - Raw key.
+ * @returns {string} camelCase key.
+ */
+function camelCase(key) {
+  return key.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Check one value against its schema entry.
+ * @param {*} value - Parsed YAML value.
+ * @param {object} spec - Schema entry.
+ * @param {string} path - Key path, for messages.
+ * @param {string[]} warnings - Collected warnings (appended to).
+ * @returns {*} The typed value, or undefined if invalid.
+ */
+function checkValue(value, spec, path, warnings) {
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') {
+        warnings.push(`"${path}" should be text`);
+        return undefined;
+      }
+      if (spec.enum) {
+        const allowed = spec.enum.find(option => option.toLowerCase() === value.trim().toLowerCase());
+        if (!allowed) {
+          warnings.push(`"${path}" should be one of ${spec.enum.join(', ')} (got "${value}")`);
+          return undefined;
+        }
+        return allowed;
+      }
+      return value.trim();
+    }
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        warnings.push(`"${path}" should be a number`);
+        return undefined;
+      }
+      return value;
+    case 'string[]': {
+      const list = typeof value === 'string' ? [value] : value;
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+        warnings.push(`"${path}" should be a list of text values`);
+        return undefined;
+      }
+      return list.map(item => String(item).trim()).filter(Boolean);
+    }
+    case 'object':
+      return checkFields(value, spec.fields, path, warnings);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Check a map against a set of field specs, dropping unknown and invalid keys.
+ * @param {*} data - Parsed YAML map.
+ * @param {object} fields - Field name to schema entry.
+ * @param {string} prefix - Parent key path ('' at the top level).
+ * @param {string[]} warnings - Collected warnings (appended to).
+ * @returns {object|undefined} Typed map, or undefined if it is not a valid map.
+ */
+function checkFields(data, fields, prefix, warnings) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    warnings.push(`"${prefix}" should be a map of key: value pairs`);
+    return undefined;
+  }
+
+  const result = {};
+  for (const [rawKey, value] of Object.entries(data)) {
+    const key = camelCase(rawKey);
+    const path = prefix ? `${prefix}.${rawKey}` : rawKey;
+    if (!fields[key]) {
+      warnings.push(`unknown key "${path}"`);
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+    const checked = checkValue(value, fields[key], path, warnings);
+    if (checked !== undefined) result[key] = checked;
+  }
+
+  for (const [key, spec] of Object.entries(fields)) {
+    if (spec.required && result[key] === undefined) {
+      warnings.push(`"${prefix ? `${prefix}.` : ''}${key}" is required`);
+      return prefix ? undefined : result;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate parsed frontmatter against FRONTMATTER_SCHEMA.
+ * @param {object} data - Parsed frontmatter.
+ * @returns {{ meta: object, warnings: string[] }} Typed, valid keys (camelCase) and
+ *   one message per problem found.
+ */
+export function validateFrontmatter(data) {
+  const warnings = [];
+  const legacySeries = data?.series && typeof data.series === 'object' && !Array.isArray(data.series)
+    ? data.series
+    : null;
+  const input = legacySeries ? { ...data, series: undefined } : data;
+  const meta = checkFields(input, FRONTMATTER_SCHEMA, '', warnings) || {};
+  if (legacySeries) {
+    const series = checkValue(legacySeries, LEGACY_SERIES, 'series', warnings);
+    if (series) {
+      meta.series = series.name;
+      if (meta.order === undefined && series.part !== undefined) meta.order = series.part;
+    }
+  }
+  return { meta, warnings };
+}
@@ -1,158 +1,88 @@
 /**
  * @file Notebook Renderer — client-side Jupyter notebook cell renderer.
  * @description Fetches pre-processed notebook JSON from tutorials/_rendered/,
- * renders markdown and code cells with syntax highlighting, builds a TOC,
- * and handles code-copy functionality via event delegation.
- * HTML outputs are sanitized with DOMPurify before insertion.
+ * renders markdown cells and code cells (both rendered to HTML at build time), builds a TOC and
+ * the related-content card, and handles code-copy functionality via event delegation.
+ * HTML outputs are sanitized with DOMPurify before insertion. With ?mode=slides the
+ * rendered cells are handed to notebook-slides.js and presented as a slideshow.
  * @module notebook-renderer
  */
 
 import DOMPurify from 'dompurify';
+import { renderRelated } from './related.js';
+import { tutorialUrl, slugFromLocation } from './urls.js';
+import { ansiToHtml } from './ansi.js';
+import { escapeHtml } from './utils.js';
 
-// ---- Lightweight Markdown Parser ----
+// ---- Notebook Renderer ----
 
-/**
- * Escape HTML special characters for safe insertion.
- * @param {string} str - Raw string.
- * @returns {string} Escaped string.
- */
-function escapeHtml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
+/** JSON output trees start expanded down to this depth */
+const JSON_OPEN_DEPTH = 1;
 
 /**
- * Parse a Markdown string into HTML. Handles headings, lists, code fences,
- * images, and paragraphs with inline formatting.
- * @param {string} md - Markdown source.
- * @returns {string} Rendered HTML string.
+ * Render a JSON value as a collapsible tree of <details> elements.
+ * @param {*} value - Parsed JSON value.
+ * @param {string|number|null} [key] - Property name or index, if nested.
+ * @param {number} [depth] - Nesting depth.
+ * @returns {string} HTML string.
  */
-function parseMarkdown(md) {
-  // Collect code fences first to protect them from inline processing
-  const fences = [];
-  md = md.replace(/```(\w*)\n([\s\S]*?)```/g, (_, lang, code) => {
-    const idx = fences.length;
-    fences.push({ lang: lang || 'text', code: code.replace(/\n$/, '') });
-    return `\x00FENCE${idx}\x00`;
-  });
-
-  // Split into blocks by blank lines
-  const blocks = md.split(/\n{2,}/);
-  const html = blocks.map(block => {
-    block = block.trim();
-    if (!block) return '';
-
-    // Code fence placeholder
-    const fenceMatch = block.match(/^\0FENCE(\d+)\0$/);
-    if (fenceMatch) {
-      const f = fences[parseInt(fenceMatch[1])];
-      return `<div class="code-block"><div class="code-block-header"><span class="code-block-lang">${escapeHtml(f.lang)}</span></div><pre><code>${escapeHtml(f.code)}</code></pre></div>`;
-    }
-
-    // Headings (# to ######)
-    const headingMatch = block.match(/^(#{1,6})\s+(.+)$/);
-    if (headingMatch) {
-      const level = headingMatch[1].length;
-      const text = parseInline(headingMatch[2]);
-      const id = headingMatch[2].toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
-      return `<h${level} id="${id}">${text}</h${level}>`;
-    }
-
-    // Unordered list
-    if (/^[-*]\s/.test(block)) {
-      const items = block.split(/\n/).filter(l => l.trim());
-      const lis = items.map(item => {
-        const text = item.replace(/^[-*]\s+/, '');
-        return `<li>${parseInline(text)}</li>`;
-      }).join('');
-      return `<ul>${lis}</ul>`;
-    }
-
-    // Ordered list
-    if (/^\d+\.\s/.test(block)) {
-      const items = block.split(/\n/).filter(l => l.trim());
-      const lis = items.map(item => {
-        const text = item.replace(/^\d+\.\s+/, '');
-        return `<li>${parseInline(text)}</li>`;
-      }).join('');
-      return `<ol>${lis}</ol>`;
-    }
-
-    // Image (standalone)
-    const imgMatch = block.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
-    if (imgMatch) {
-      return `<img src="${escapeHtml(imgMatch[2])}" alt="${escapeHtml(imgMatch[1])}">`;
-    }
-
-    // Paragraph
-    return `<p>${parseInline(block)}</p>`;
-  }).join('\n');
+function renderJsonTree(value, key = null, depth = 0) {
+  const label = key !== null ? `<span class="nb-json-key">${escapeHtml(String(key))}</span>: ` : '';
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    const summary = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+    const children = entries.map(([k, v]) => renderJsonTree(v, k, depth + 1)).join('');
+    return `<details class="nb-json-node"${depth < JSON_OPEN_DEPTH ? ' open' : ''}>` +
+      `<summary>${label}<span class="nb-json-count">${summary}</span></summary>${children}</details>`;
+  }
 
-  return html;
+  const kind = value === null ? 'null' : typeof value;
+  const text = typeof value === 'string' ? JSON.stringify(value) : String(value);
+  return `<div class="nb-json-leaf">${label}<span class="nb-json-${kind}">${escapeHtml(text)}</span></div>`;
 }
 
 /**
- * Parse inline Markdown: images, links, bold, italic, code, line breaks.
- * @param {string} text - Inline text to process.
- * @returns {string} HTML with inline formatting.
+ * Render a published notebook image, lazy-loaded, with its dimensions so the
+ * page doesn't shift as it loads.
+ * @param {{ src: string, width?: number, height?: number }} image - Image output.
+ * @param {string} alt - Alt text.
+ * @returns {string} HTML string.
  */
-function parseInline(text) {
-  text = text.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1">');
-  text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-  text = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-  text = text.replace(/\*(.+?)\*/g, '<em>$1</em>');
-  text = text.replace(/`([^`]+)`/g, '<code>$1</code>');
-  text = text.replace(/\n/g, '<br>');
-  return text;
+function renderImage(image, alt) {
+  const size = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+  return `<img src="${escapeHtml(image.src)}" alt="${alt}" loading="lazy" decoding="async"${size}>`;
 }
 
-// ---- Notebook Renderer ----
-
 /**
- * Render Python code source with basic syntax highlighting.
- * @param {string} source - Python code string.
- * @returns {string} HTML with syntax-highlighted spans.
+ * Wrap part of a cell in a collapsed disclosure widget (cells tagged hide-*).
+ * @param {string} label - Summary text, e.g. "Show code".
+ * @param {string} content - HTML to hide.
+ * @returns {string} HTML string.
  */
-function renderCodeSource(source) {
-  let html = escapeHtml(source);
-
-  // Keywords
-  html = html.replace(/\b(import|from|as|def|class|return|if|elif|else|for|while|in|not|and|or|with|try|except|finally|raise|yield|lambda|pass|break|continue|True|False|None|print|self)\b/g,
-    '<span class="keyword">$1</span>');
-
-  // Function calls
-  html = html.replace(/\b(\w+)(\s*\()/g, '<span class="function">$1</span>$2');
-
-  // Strings (double-quoted)
-  html = html.replace(/(f?&quot;.*?&quot;)/g, '<span class="string">$1</span>');
-  // Strings (single-quoted, HTML-escaped)
-  html = html.replace(/(f?&#39;.*?&#39;)/g, '<span class="string">$1</span>');
-  // Strings (single-quoted, unescaped fallback)
-  html = html.replace(/(f?'[^']*')/g, '<span class="string">$1</span>');
-
-  // Comments
-  html = html.replace(/(#.*?)(<br>|$)/g, '<span class="comment">$1</span>$2');
-
-  // Numbers
-  html = html.replace(/\b(\d+\.?\d*)\b/g, '<span class="number">$1</span>');
-
-  return html;
+function renderDisclosure(label, content) {
+  return `<details class="nb-disclosure"><summary>${label}</summary>${content}</details>`;
 }
 
 /**
- * Render a single notebook cell (markdown or code) to HTML.
- * HTML outputs are sanitized with DOMPurify. Code cells use a copy button
- * with a data attribute instead of an inline onclick handler.
- * @param {object} cell - Processed cell object { type, source, outputs, executionCount }.
+ * Render a single notebook cell (markdown or code) to HTML. Outputs are
+ * displayed by type (text, image, chart, svg, html, markdown, latex, json, error);
+ * HTML and SVG outputs are sanitized with DOMPurify. Code cells use a copy button
+ * with a data attribute instead of an inline onclick handler. `cell.display`
+ * (from cell tags) hides input or output behind disclosure widgets, omits removed
+ * input, and makes output scroll.
+ * @param {object} cell - Processed cell object { type, source, html, language, outputs, executionCount }
+ *   (`html` is sanitized markdown or highlighted code).
  * @param {number} index - Cell index (used for execution count fallback).
+ * @param {boolean} [runnable] - Add a Run button to Python code cells (run mode).
  * @returns {string} Rendered HTML string.
  */
-function renderCell(cell, index) {
+function renderCell(cell, index, runnable = false) {
+  const display = cell.display || {};
+
   if (cell.type === 'markdown') {
-    return `<div class="nb-cell nb-cell-markdown">${parseMarkdown(cell.source)}</div>`;
+    const markdownHtml = cell.html || '';
+    return `<div class="nb-cell nb-cell-markdown">${display.input === 'hidden' ? renderDisclosure('Show text', markdownHtml) : markdownHtml}</div>`;
   }
 
   if (cell.type === 'code') {
@@ -162,39 +92,81 @@ function renderCell(cell, index) {
 
     let outputHtml = '';
     if (hasOutput) {
-      outputHtml = cell.outputs.map(output => {
+      outputHtml = cell.outputs.map((output, outputIndex) => {
         if (output.type === 'text') {
-          return `<div class="nb-output">${escapeHtml(output.text)}</div>`;
+          return `<div class="nb-output">${ansiToHtml(output.text)}</div>`;
         }
         if (output.type === 'image') {
-          return `<div class="nb-output nb-output-image"><img src="${output.data}" alt="Output"></div>`;
+          return `<div class="nb-output nb-output-image">${renderImage(output, 'Output')}</div>`;
+        }
+        if (output.type === 'chart') {
+          // Placeholder shows the static fallback until notebook-charts.js mounts the chart
+          const fallback = output.fallback
+            ? renderImage(output.fallback, 'Chart')
+            : '<p class="nb-chart-loading">Loading chart…</p>';
+          return `<div class="nb-output nb-output-chart" data-cell="${index}" data-output="${outputIndex}">${fallback}</div>`;
+        }
+        if (output.type === 'svg') {
+          // Sanitize SVG output before rendering (scripts and event handlers stripped)
+          const svg = DOMPurify.sanitize(output.svg, { USE_PROFILES: { svg: true, svgFilters: true } });
+          return `<div class="nb-output nb-output-image nb-output-svg">${svg}</div>`;
         }
         if (output.type === 'html') {
           // Sanitize HTML output before rendering
           return `<div class="nb-output nb-output-html">${DOMPurify.sanitize(output.html)}</div>`;
         }
+        if (output.type === 'markdown') {
+          return `<div class="nb-output nb-output-markdown">${output.html || ''}</div>`;
+        }
+        if (output.type === 'latex') {
+          // Typeset at build time; older builds only carry the source
+          return `<div class="nb-output nb-output-latex">${output.html || escapeHtml(output.source)}</div>`;
+        }
+        if (output.type === 'json') {
+          return `<div class="nb-output nb-output-json">${renderJsonTree(output.data)}</div>`;
+        }
         if (output.type === 'error') {
-          // Strip ANSI escape codes from traceback
-          const tb = (output.traceback || '').replace(/\x1b\[[0-9;]*m/g, ''); // eslint-disable-line no-control-regex
-          return `<div class="nb-output nb-output-error">${escapeHtml(output.ename)}: ${escapeHtml(output.evalue)}\n${escapeHtml(tb)}</div>`;
+          // Tracebacks keep IPython's ANSI colors
+          return `<div class="nb-output nb-output-error">${escapeHtml(output.ename)}: ${escapeHtml(output.evalue)}\n${ansiToHtml(output.traceback)}</div>`;
         }
         return '';
       }).join('');
     }
 
+    if (outputHtml && display.scroll) outputHtml = `<div class="nb-output-scroll">${outputHtml}</div>`;
+    if (outputHtml && display.output === 'hidden') outputHtml = renderDisclosure('Show output', outputHtml);
+
+    // Input removed by a remove-input tag: the output stands alone
+    if (display.input === 'removed') {
+      return `<div class="nb-cell nb-cell-code nb-cell-output-only">${outputHtml}</div>`;
+    }
+
+    // Run buttons only show in run mode; cells in other languages (%%bash, …) can't run
+    const runButton = runnable && (cell.language || 'python') === 'python'
+      ? `<button class="code-copy-btn code-run-btn" data-action="run-cell">
+              <i data-lucide="play"></i> Run
+            </button>`
+      : '';
+
     // Use data-action attribute instead of inline onclick for CSP compliance
-    return `
-      <div class="nb-cell nb-cell-code">
+    const inputHtml = `
         <div class="code-block${noOutputClass}">
           <div class="code-block-header">
-            <span class="code-block-lang">python</span>
-            <button class="code-copy-btn" data-action="copy-code">
-              <i data-lucide="copy"></i> Copy
-            </button>
+            <span class="code-block-lang">${escapeHtml(cell.language || 'python')}</span>
+            <span class="code-block-actions">
+              ${runButton}
+              <button class="code-copy-btn" data-action="copy-code">
+                <i data-lucide="copy"></i> Copy
+              </button>
+            </span>
           </div>
           <span class="nb-cell-number">[${execNum}]</span>
-          <pre><code>${renderCodeSource(cell.source)}</code></pre>
-        </div>
+          <pre><code>${cell.html ?? escapeHtml(cell.source)}</code></pre>
+        </div>`;
+
+    return `
+      <div class="nb-cell nb-cell-code">
+        ${display.input === 'hidden' ? renderDisclosure('Show code', inputHtml) : inputHtml}
         ${outputHtml}
       </div>`;
   }
@@ -245,24 +217,208 @@ document.addEventListener('click', (e) => {
   if (btn) handleCopyCode(btn);
 });
 
+// ---- Run Mode ----
+
+/**
+ * Render the run-mode toolbar shown above Python notebooks.
+ * @returns {string} HTML string.
+ */
+function renderRunToolbar() {
+  return `
+    <div class="nb-run-toolbar">
+      <button class="code-copy-btn" data-action="run-mode" aria-pressed="false">
+        <i data-lucide="terminal"></i> Run in browser
+      </button>
+      <span class="nb-run-controls">
+        <button class="code-copy-btn" data-action="run-all"><i data-lucide="fast-forward"></i> Run all</button>
+        <button class="code-copy-btn" data-action="restart-kernel"><i data-lucide="rotate-ccw"></i> Restart kernel</button>
+      </span>
+      <span class="nb-run-status" role="status"></span>
+    </div>`;
+}
+
+/**
+ * Wire up run mode. The toolbar button turns it on, which loads notebook-runner.js
+ * and starts Python in a worker; nothing is downloaded until then.
+ * @param {HTMLElement} body - Element holding the rendered cells and toolbar.
+ * @param {object} meta - Notebook meta (`packages` from the frontmatter).
+ */
+function setupRunMode(body, meta) {
+  const status = body.querySelector('.nb-run-status');
+  let runner = null;
+  const getRunner = () => {
+    runner = runner || import('./notebook-runner.js').then(({ createRunner }) => createRunner(body, {
+      packages: meta.packages || [],
+      onStatus: text => { status.textContent = text; },
+    }));
+    return runner.catch(() => {
+      status.textContent = 'Run mode could not be loaded.';
+      runner = null;
+      throw new Error('Run mode unavailable');
+    });
+  };
+
+  body.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    const action = btn?.dataset.action;
+    if (action === 'run-mode') {
+      const on = body.classList.toggle('nb-run-mode');
+      btn.setAttribute('aria-pressed', String(on));
+      if (on) getRunner().then(r => r.start()).catch(() => {});
+    } else if (action === 'run-cell') {
+      getRunner().then(r => r.run(btn.closest('.nb-cell-code'))).catch(() => {});
+    } else if (action === 'run-all') {
+      getRunner().then(r => r.runAll()).catch(() => {});
+    } else if (action === 'restart-kernel') {
+      getRunner().then(r => r.restart()).catch(() => {});
+    }
+  });
+}
+
+// ---- Downloads ----
+
+/** Download links shown in the sidebar, by key in meta.downloads */
+const DOWNLOADS = [
+  { key: 'notebook', icon: 'download', label: 'Notebook' },
+  { key: 'script', icon: 'file-code', label: 'Script' },
+  { key: 'markdown', icon: 'file-text', label: 'Markdown' },
+];
+
+/** "Open in" links shown in the sidebar, by key in meta.launch */
+const LAUNCHERS = [
+  { key: 'colab', label: 'Open in Colab' },
+  { key: 'binder', label: 'Launch Binder' },
+];
+
+/**
+ * Fill the "Get the Notebook" card with download and launch links, or keep it
+ * hidden when the build published none.
+ * @param {HTMLElement|null} container - The card element.
+ * @param {object} meta - Notebook meta ({ filename, downloads, launch }).
+ */
+function renderSourceLinks(container, meta) {
+  const downloads = meta.downloads || {};
+  const launch = meta.launch || {};
+  const links = [
+    ...DOWNLOADS.filter(d => downloads[d.key]).map(d => {
+      const url = downloads[d.key];
+      const ext = url.slice(url.lastIndexOf('.'));
+      // The notebook downloads under its original filename
+      const name = d.key === 'notebook' && meta.filename ? `="${escapeHtml(meta.filename)}"` : '';
+      return `<a class="tutorial-colab-btn" href="${escapeHtml(url)}" download${name}><i data-lucide="${d.icon}"></i> ${d.label} (${escapeHtml(ext)})</a>`;
+    }),
+    ...LAUNCHERS.filter(l => launch[l.key]).map(l =>
+      `<a class="tutorial-colab-btn" href="${escapeHtml(launch[l.key])}" target="_blank" rel="noopener"><i data-lucide="external-link"></i> ${l.label}</a>`),
+  ];
+  if (!container || !links.length) return;
+  container.querySelector('.tutorial-source-links').innerHTML = links.join('');
+  container.style.display = '';
+}
+
+// ---- Series and Learning Paths ----
+
+/**
+ * Render a progress strip for one series or learning path.
+ * @param {string} label - "Series" or "Learning path".
+ * @param {string} icon - Lucide icon name.
+ * @param {string} name - Series name or path title.
+ * @param {object} track - { part, total, parts } from the build (notebook-series.js).
+ * @returns {string} HTML string.
+ */
+function renderTrack(label, icon, name, track) {
+  const steps = track.parts.map((part, i) => {
+    const state = i + 1 < track.part ? 'done' : i + 1 === track.part ? 'current' : '';
+    const current = state === 'current' ? ' aria-current="page"' : '';
+    return `<li class="tutorial-series-step${state ? ` ${state}` : ''}"><a href="${tutorialUrl(part.slug)}" title="${escapeHtml(part.title)}"${current}>${i + 1}</a></li>`;
+  }).join('');
+  return `
+    <nav class="tutorial-series-track" aria-label="${escapeHtml(`${label}: ${name}`)}">
+      <p class="tutorial-series-label"><i data-lucide="${icon}"></i> ${label} · ${escapeHtml(name)} <span>Part ${track.part} of ${track.total}</span></p>
+      <ol class="tutorial-series-steps">${steps}</ol>
+    </nav>`;
+}
+
+/**
+ * Show the tutorial's series and learning paths in the hero, or keep the
+ * strip hidden when it is in neither.
+ * @param {HTMLElement|null} container - The strip element.
+ * @param {object} meta - Notebook meta ({ series, paths }).
+ */
+function renderSeries(container, meta) {
+  const tracks = [
+    meta.series ? renderTrack('Series', 'layers', meta.series.name, meta.series) : '',
+    ...(meta.paths || []).map(path => renderTrack('Learning path', 'route', path.title, path)),
+  ].filter(Boolean);
+  if (!container || !tracks.length) return;
+  container.innerHTML = tracks.join('');
+  container.style.display = '';
+}
+
+/**
+ * Render the previous/next links shown below the notebook. The series decides
+ * the neighbours; a tutorial in no series follows its first learning path.
+ * @param {object} meta - Notebook meta ({ series, paths }).
+ * @returns {string} HTML string, empty when there is nowhere to go.
+ */
+function renderPager(meta) {
+  const track = meta.series || meta.paths?.[0];
+  if (!track || (!track.prev && !track.next)) return '';
+  const link = (part, rel, label, icon) => (part ? `
+    <a class="tutorial-pager-link tutorial-pager-${rel}" href="${tutorialUrl(part.slug)}" rel="${rel}">
+      <span class="tutorial-pager-label">${rel === 'prev' ? `<i data-lucide="${icon}"></i> ${label}` : `${label} <i data-lucide="${icon}"></i>`}</span>
+      <span class="tutorial-pager-title">${escapeHtml(part.title)}</span>
+    </a>` : '<span></span>');
+  return `
+    <nav class="tutorial-pager" aria-label="${meta.series ? 'Series' : 'Learning path'} navigation">
+      ${link(track.prev, 'prev', 'Previous', 'arrow-left')}
+      ${link(track.next, 'next', 'Next', 'arrow-right')}
+    </nav>`;
+}
+
 // ---- Main ----
 
+/**
+ * Look up a renamed notebook's current slug in the build-generated redirect map.
+ * @param {string} slug - The requested slug.
+ * @returns {Promise<string|null>} The current slug, or null if not redirected.
+ */
+async function findRedirect(slug) {
+  try {
+    const res = await fetch('/tutorials/_redirects.json');
+    if (!res.ok) return null;
+    const redirects = await res.json();
+    return redirects[slug] || null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Initialize the notebook viewer: fetch rendered JSON, populate page, build TOC.
  */
 async function init() {
-  const params = new URLSearchParams(window.location.search);
-  const slug = params.get('nb');
-
-  // Validate slug to prevent path traversal
-  if (!slug || !/^[a-zA-Z0-9_-]+$/.test(slug)) {
+  // Slug comes from /tutorials/<slug>/ or the legacy ?nb= URL (validated to prevent path traversal)
+  const { slug, legacy } = slugFromLocation(window.location, 'tutorials', 'nb');
+  if (!slug) {
     window.location.href = '/tutorials/';
     return;
   }
 
   try {
     const res = await fetch(`/tutorials/_rendered/${encodeURIComponent(slug)}.json`);
-    if (!res.ok) throw new Error('Notebook not found');
+    if (!res.ok) {
+      const target = await findRedirect(slug);
+      if (target && target !== slug) {
+        window.location.replace(`${tutorialUrl(target)}${window.location.hash}`);
+        return;
+      }
+      throw new Error('Notebook not found');
+    }
+    // Move legacy query URLs onto the pre-rendered page
+    if (legacy) {
+      window.location.replace(`${tutorialUrl(slug)}${window.location.hash}`);
+      return;
+    }
     const data = await res.json();
     const { meta, cells } = data;
 
@@ -285,6 +441,10 @@ async function init() {
       return `<span class="tag ${tagColors[i % tagColors.length]}">${safeTag}</span>`;
     }).join('');
 
+    // ?mode=slides presents the notebook as a slideshow instead (notebook-slides.js)
+    const slidesMode = new URLSearchParams(window.location.search).get('mode') === 'slides';
+    const hasSlides = cells.some(cell => cell.slide);
+
     // Meta row
     const dateStr = meta.date ? new Date(meta.date + 'T00:00:00').toLocaleDateString('en-US', {
       month: 'long', day: 'numeric', year: 'numeric'
@@ -295,16 +455,45 @@ async function init() {
       meta.difficulty ? `<span class="difficulty-badge ${diffClass}">${escapeHtml(meta.difficulty)}</span>` : '',
       meta.duration ? `<span><i data-lucide="clock"></i> ${escapeHtml(meta.duration)}</span>` : '',
       dateStr ? `<span><i data-lucide="calendar"></i> ${dateStr}</span>` : '',
-      `<span><i data-lucide="code"></i> ${cells.length} cells</span>`
+      // Removed cells are dropped at build time, so this counts visible cells
+      `<span><i data-lucide="code"></i> ${cells.length} cells</span>`,
+      hasSlides ? `<span><a href="?mode=slides"><i data-lucide="presentation"></i> Present</a></span>` : ''
     ].filter(Boolean).join('');
 
+    // Python notebooks can run in the browser (Pyodide); not while presenting
+    const runnable = (meta.kernel?.language || 'python') === 'python' && !slidesMode;
+
     // Render cells (DOMPurify sanitizes HTML outputs inside renderCell)
     const body = document.getElementById('tutorial-body');
     body.innerHTML = DOMPurify.sanitize(
-      cells.map((cell, i) => renderCell(cell, i)).join(''),
-      { ADD_TAGS: ['span'], ADD_ATTR: ['data-action', 'data-lucide', 'class'] }
+      (runnable ? renderRunToolbar() : '') + cells.map((cell, i) => renderCell(cell, i, runnable)).join(''),
+      // semantics/annotation: the MathML wrapper KaTeX puts around the TeX source
+      { ADD_TAGS: ['span', 'semantics', 'annotation'], ADD_ATTR: ['data-action', 'data-lucide', 'class', 'encoding'] }
     );
 
+    if (runnable) setupRunMode(body, meta);
+
+    // Series / learning path: progress in the hero, prev/next after the last cell
+    renderSeries(document.getElementById('tutorial-series'), meta);
+    if (!slidesMode) body.insertAdjacentHTML('beforeend', renderPager(meta));
+
+    // Slides take the rendered cells; if the module fails to load the page stays as it is
+    const slides = slidesMode
+      ? await import('./notebook-slides.js')
+        .then(({ startSlideshow }) => startSlideshow(body, cells, { title: meta.title, exitUrl: tutorialUrl(slug) }))
+        .catch(() => null)
+      : null;
+    const chartRoot = slides || body;
+
+    // Lazy-load the chart runtimes only when the notebook has interactive charts
+    if (chartRoot.querySelector('.nb-output-chart')) {
+      import('./notebook-charts.js')
+        .then(({ mountCharts }) => mountCharts(chartRoot, cells))
+        .catch(() => {
+          // Chart module failed to load — the PNG fallbacks stay in place
+        });
+    }
+
     // Build TOC from h2 headings
     const tocList = document.getElementById('tutorial-toc-list');
     const h2s = body.querySelectorAll('.nb-cell-markdown h2');
@@ -329,6 +518,12 @@ async function init() {
       ].filter(Boolean).join('');
     }
 
+    // Related tutorials and posts (computed at build time)
+    renderRelated(document.getElementById('tutorial-related'), data.related);
+
+    // Source downloads and Colab/Binder links
+    renderSourceLinks(document.getElementById('tutorial-source'), meta);
+
     // Re-init lucide icons for all new DOM elements
     if (window.__lucideInit) window.__lucideInit();
 
@@ -0,0 +1,200 @@
+/**
+ * @file Notebook Runner — run mode for Python tutorials.
+ * @description Loaded on demand by notebook-renderer.js when a reader turns on
+ * run mode. Starts python-worker.js (Pyodide in a Web Worker), runs code cells
+ * in the order they are asked for in one shared Python session, and replaces
+ * each cell's published outputs with the live ones: stdout/stderr as they are
+ * written, then the result, matplotlib figures and errors. Runs queue up, so
+ * "Run all" executes top to bottom. Restarting terminates the worker, drops
+ * queued runs and starts a fresh session.
+ * Only code shown on the page runs; cells removed at build time are not sent.
+ * @module notebook-runner
+ */
+
+import { ansiToHtml } from './ansi.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * A Python session in a worker. Requests are answered in order.
+ */
+class Kernel {
+  /**
+   * @param {string[]} packages - Packages to load at startup.
+   * @param {function(string): void} onStatus - Receives loading progress.
+   */
+  constructor(packages, onStatus) {
+    this.worker = new Worker(new URL('./python-worker.js', import.meta.url), { type: 'module' });
+    this.requests = new Map();
+    this.nextId = 0;
+    this.onStatus = onStatus;
+    this.worker.onmessage = ({ data }) => this.receive(data);
+    this.worker.onerror = event => this.failAll(event.message || 'The Python worker crashed');
+    this.ready = this.request({ type: 'init', packages });
+  }
+
+  /**
+   * Send a request to the worker.
+   * @param {object} message - Request body.
+   * @param {function(string, string): void} [onStream] - Receives (stream name, text).
+   * @returns {Promise<object>} The worker's final reply.
+   */
+  request(message, onStream = () => {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject, onStream });
+      this.worker.postMessage({ id, ...message });
+    });
+  }
+
+  /**
+   * Route a worker message to its request.
+   * @param {object} data - Message from python-worker.js.
+   */
+  receive(data) {
+    const request = this.requests.get(data.id);
+    if (data.type === 'status') this.onStatus(data.text);
+    if (!request) return;
+    if (data.type === 'stream') request.onStream(data.name, data.text);
+    if (data.type === 'done' || data.type === 'failed') {
+      this.requests.delete(data.id);
+      if (data.type === 'done') request.resolve(data);
+      else request.reject(new Error(data.message));
+    }
+  }
+
+  /**
+   * Reject every open request.
+   * @param {string} message - Error message.
+   */
+  failAll(message) {
+    for (const { reject } of this.requests.values()) reject(new Error(message));
+    this.requests.clear();
+  }
+
+  /**
+   * Run a cell once the session is ready.
+   * @param {string} code - Cell source.
+   * @param {function(string, string): void} onStream - Receives (stream name, text).
+   * @returns {Promise<object>} { result?, images, error? }
+   */
+  async run(code, onStream) {
+    await this.ready;
+    return this.request({ type: 'run', code }, onStream);
+  }
+
+  /** Stop the worker; open requests fail. */
+  terminate() {
+    this.worker.terminate();
+    this.failAll('Kernel restarted');
+  }
+}
+
+/**
+ * Render a cell's live outputs, in the same markup as published outputs.
+ * @param {object} state - { streams: [{ name, text }], result, images, error }.
+ * @returns {string} HTML string.
+ */
+function renderOutputs({ streams, result, images, error }) {
+  return [
+    ...streams.map(s => `<div class="nb-output${s.name === 'stderr' ? ' nb-output-stderr' : ''}">${ansiToHtml(s.text)}</div>`),
+    result != null ? `<div class="nb-output">${escapeHtml(result)}</div>` : '',
+    ...(images || []).map(png => `<div class="nb-output nb-output-image"><img src="data:image/png;base64,${png}" alt="Output"></div>`),
+    error ? `<div class="nb-output nb-output-error">${ansiToHtml(error.traceback || `${error.ename}: ${error.evalue}`)}</div>` : '',
+  ].join('');
+}
+
+/**
+ * Set up run mode for a rendered notebook.
+ * @param {HTMLElement} container - Element holding the rendered cells.
+ * @param {object} options
+ * @param {string[]} [options.packages] - Packages from the notebook's frontmatter.
+ * @param {function(string): void} options.onStatus - Shows kernel status to the reader.
+ * @returns {{ start: function(): void, run: function(HTMLElement): Promise<void>,
+ *   runAll: function(): Promise<void>, restart: function(): void }} Controls.
+ */
+export function createRunner(container, { packages = [], onStatus }) {
+  let kernel = null;
+  let queue = Promise.resolve();
+  // Bumped on restart so runs queued before it are dropped
+  let session = 0;
+  let executionCount = 0;
+
+  const start = () => {
+    if (kernel) return kernel;
+    kernel = new Kernel(packages, onStatus);
+    kernel.ready.then(() => onStatus('Ready')).catch(err => onStatus(`Python failed to load: ${err.message}`));
+    return kernel;
+  };
+
+  /**
+   * Run one code cell and show its outputs in place of the published ones.
+   * @param {HTMLElement} cell - A .nb-cell-code element.
+   * @param {number} queuedIn - Session the run was queued in.
+   */
+  const execute = async (cell, queuedIn) => {
+    if (queuedIn !== session) return;
+    const code = cell.querySelector('.code-block code')?.textContent ?? '';
+    const codeBlock = cell.querySelector('.code-block');
+    const number = cell.querySelector('.nb-cell-number');
+    const state = { streams: [], images: [] };
+
+    // The first child is the input (code block or its disclosure); the rest is output
+    for (const output of Array.from(cell.children).slice(1)) output.remove();
+    const outputs = document.createElement('div');
+    outputs.className = 'nb-live-output';
+    cell.append(outputs);
+    cell.classList.add('nb-cell-running');
+    if (number) number.textContent = '[*]';
+
+    const show = () => {
+      outputs.innerHTML = renderOutputs(state);
+      codeBlock?.classList.toggle('no-output', !outputs.innerHTML);
+    };
+    const onStream = (name, text) => {
+      const last = state.streams[state.streams.length - 1];
+      if (last?.name === name) last.text += text;
+      else state.streams.push({ name, text });
+      show();
+    };
+
+    try {
+      onStatus('Running…');
+      Object.assign(state, await start().run(code, onStream));
+      if (number) number.textContent = `[${++executionCount}]`;
+      onStatus('Ready');
+    } catch (err) {
+      state.error = { ename: 'Error', evalue: err.message };
+      if (number) number.textContent = '[ ]';
+    } finally {
+      cell.classList.remove('nb-cell-running');
+      show();
+    }
+  };
+
+  const run = cell => {
+    const queuedIn = session;
+    queue = queue.then(() => execute(cell, queuedIn));
+    return queue;
+  };
+
+  return {
+    start() {
+      start();
+    },
+    run,
+    runAll() {
+      const buttons = container.querySelectorAll('[data-action="run-cell"]');
+      return Promise.all(Array.from(buttons, button => run(button.closest('.nb-cell-code'))));
+    },
+    restart() {
+      session++;
+      executionCount = 0;
+      if (kernel) kernel.terminate();
+      kernel = null;
+      queue = Promise.resolve();
+      for (const number of container.querySelectorAll('.nb-cell-code .nb-cell-number')) number.textContent = '[ ]';
+      onStatus('Kernel restarted');
+      start();
+    },
+  };
+}
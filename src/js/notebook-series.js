@@ -0,0 +1,183 @@
+/**
+ * @file Notebook Series — series and learning paths for tutorials.
+ * @description Links tutorials that build on each other. A series is declared
+ * in each notebook's frontmatter (`series` names it, `order` places the
+ * tutorial in it); a learning path is a hand-picked track across tutorials,
+ * configured in tutorials/paths.json:
+ *   [
+ *     {
+ *       "id": "numerical-python",
+ *       "title": "Numerical Python",
+ *       "description": "From NumPy arrays to matrix factorizations.",
+ *       "tutorials": ["getting-started-with-numpy", "Modeling-with-NMF-and-SVD"]
+ *     }
+ *   ]
+ * Paths list tutorials by slug; an old slug (`aliases`) is followed to the
+ * current one, and unknown slugs are dropped with a warning.
+ *
+ * After every build, build-notebooks.js writes each tutorial's membership into
+ * its rendered JSON:
+ *   meta.series  { name, part, total, parts: [{ slug, title }], prev, next }
+ *   meta.paths   [{ id, title, description, part, total, parts, prev, next }]
+ * where prev/next are { slug, title } or null. Both are removed again when a
+ * tutorial leaves its series or paths.
+ * @module notebook-series
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Order a series' tutorials: by `order`, then tutorials without one, oldest first.
+ * @param {object} a - Index entry.
+ * @param {object} b - Index entry.
+ * @returns {number} Sort order.
+ */
+function compareParts(a, b) {
+  const ordered = (b.order !== undefined) - (a.order !== undefined);
+  if (ordered) return ordered;
+  if (a.order !== b.order) return a.order - b.order;
+  return a.filename.localeCompare(b.filename);
+}
+
+/**
+ * Describe one tutorial's place in an ordered track.
+ * @param {object[]} entries - The track's index entries, in order.
+ * @param {number} position - The tutorial's index in `entries`.
+ * @returns {{ part: number, total: number, parts: object[], prev: object|null, next: object|null }}
+ */
+function trackPosition(entries, position) {
+  const link = entry => (entry ? { slug: entry.slug, title: entry.title } : null);
+  return {
+    part: position + 1,
+    total: entries.length,
+    parts: entries.map(link),
+    prev: link(entries[position - 1]),
+    next: link(entries[position + 1]),
+  };
+}
+
+/**
+ * Group index entries into series, each in reading order.
+ * @param {object[]} index - Index entries with `series` and `order` from frontmatter.
+ * @param {function(string): void} warn - Reports problems.
+ * @returns {Map<string, object[]>} Series name to entries.
+ */
+function collectSeries(index, warn) {
+  const series = new Map();
+  for (const entry of index) {
+    if (!entry.series) continue;
+    if (!series.has(entry.series)) series.set(entry.series, []);
+    series.get(entry.series).push(entry);
+  }
+  for (const [name, entries] of series) {
+    entries.sort(compareParts);
+    for (let i = 1; i < entries.length; i++) {
+      if (entries[i].order !== undefined && entries[i].order === entries[i - 1].order) {
+        warn(`series "${name}": ${entries[i - 1].filename} and ${entries[i].filename} share order ${entries[i].order}`);
+      }
+    }
+  }
+  return series;
+}
+
+/**
+ * Resolve the learning paths config against the index.
+ * @param {*} config - Parsed tutorials/paths.json.
+ * @param {Map<string, object>} bySlug - Index entries by slug.
+ * @param {object} redirects - Old slug to current slug.
+ * @param {function(string): void} warn - Reports problems.
+ * @returns {object[]} Paths as { id, title, description, entries }, with at least one tutorial.
+ */
+function collectPaths(config, bySlug, redirects, warn) {
+  if (!Array.isArray(config)) {
+    warn('paths config should be a list of paths');
+    return [];
+  }
+  const paths = [];
+  for (const path of config) {
+    if (!path || typeof path.id !== 'string' || !Array.isArray(path.tutorials)) {
+      warn('every path needs an "id" and a "tutorials" list');
+      continue;
+    }
+    const entries = [];
+    for (const slug of path.tutorials) {
+      const entry = bySlug.get(slug) || bySlug.get(redirects[slug]);
+      if (!entry) warn(`path "${path.id}": unknown tutorial "${slug}"`);
+      else if (entries.includes(entry)) warn(`path "${path.id}": "${slug}" is listed twice`);
+      else entries.push(entry);
+    }
+    if (!entries.length) continue;
+    paths.push({
+      id: path.id,
+      title: typeof path.title === 'string' ? path.title : path.id,
+      description: typeof path.description === 'string' ? path.description : '',
+      entries,
+    });
+  }
+  return paths;
+}
+
+/**
+ * Work out every tutorial's series and learning paths.
+ * @param {object[]} index - Index entries.
+ * @param {*} pathsConfig - Parsed tutorials/paths.json (null when there is none).
+ * @param {object} redirects - Old slug to current slug, for paths naming an old slug.
+ * @param {function(string): void} [warn] - Reports problems.
+ * @returns {Map<string, { series?: object, paths?: object[] }>} Navigation by slug,
+ *   for tutorials in a series or path.
+ */
+export function buildSeriesNavigation(index, pathsConfig, redirects, warn = () => {}) {
+  const navigation = new Map();
+  const forSlug = slug => {
+    if (!navigation.has(slug)) navigation.set(slug, {});
+    return navigation.get(slug);
+  };
+
+  for (const [name, entries] of collectSeries(index, warn)) {
+    entries.forEach((entry, i) => {
+      forSlug(entry.slug).series = { name, ...trackPosition(entries, i) };
+    });
+  }
+
+  const bySlug = new Map(index.map(entry => [entry.slug, entry]));
+  const paths = pathsConfig ? collectPaths(pathsConfig, bySlug, redirects, warn) : [];
+  for (const { entries, ...path } of paths) {
+    entries.forEach((entry, i) => {
+      const nav = forSlug(entry.slug);
+      nav.paths = nav.paths || [];
+      nav.paths.push({ ...path, ...trackPosition(entries, i) });
+    });
+  }
+
+  return navigation;
+}
+
+/**
+ * Write series and path membership into every rendered notebook, dropping it
+ * from tutorials no longer in a series or path. Files are rewritten only when
+ * their navigation changed.
+ * @param {string} renderedDir - Directory of rendered notebook JSON.
+ * @param {object[]} index - Index entries.
+ * @param {Map<string, object>} navigation - Result of buildSeriesNavigation.
+ * @returns {number} Number of files rewritten.
+ */
+export function writeSeriesNavigation(renderedDir, index, navigation) {
+  let written = 0;
+  for (const { slug } of index) {
+    const file = join(renderedDir, `${slug}.json`);
+    if (!existsSync(file)) continue;
+    const before = readFileSync(file, 'utf-8');
+    const data = JSON.parse(before);
+    const { series, paths } = navigation.get(slug) || {};
+    delete data.meta.series;
+    delete data.meta.paths;
+    if (series) data.meta.series = series;
+    if (paths) data.meta.paths = paths;
+    const after = JSON.stringify(data, null, 2);
+    if (after === before) continue;
+    writeFileSync(file, after);
+    written++;
+  }
+  return written;
+}
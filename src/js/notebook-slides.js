@@ -0,0 +1,284 @@
+/**
+ * @file Notebook Slides — presents a tutorial as a slideshow.
+ * @description Loaded on demand by notebook-renderer.js for ?mode=slides. Pages
+ * through the rendered cells following Jupyter's slideshow metadata (each
+ * cell's `slide`, kept by build-notebooks.js), as RISE and nbconvert do:
+ *   slide     starts a new slide
+ *   subslide  starts a new page within the current slide (numbered 3.2, …)
+ *   fragment  is revealed on the next step of the current page
+ *   skip      is left out
+ *   notes     goes to the speaker notes of the current page
+ * Other cells continue the current page or fragment; cells before the first
+ * break form slide 1. Each page has its own URL hash (#/3, or #/3/2 for a
+ * subslide), so a link or a reload opens the same page.
+ *
+ * Keys: → ↓ Space PageDown next step; ← ↑ Shift+Space PageUp previous step;
+ * Home / End first / last page; F full screen; S speaker notes. The notes open
+ * in a popup window (for a second screen) that follows the slides and accepts
+ * the same keys.
+ * @module notebook-slides
+ */
+
+/** Keys that move through the deck */
+const KEYS = {
+  ArrowRight: 'next',
+  ArrowDown: 'next',
+  PageDown: 'next',
+  ' ': 'next',
+  ArrowLeft: 'prev',
+  ArrowUp: 'prev',
+  PageUp: 'prev',
+  Home: 'first',
+  End: 'last',
+  f: 'fullscreen',
+  s: 'notes',
+};
+
+/**
+ * Group rendered cells into pages.
+ * @param {HTMLElement[]} elements - Rendered cells, in order.
+ * @param {object[]} cells - Processed cells (for `slide`), matching `elements`.
+ * @returns {object[]} Pages as { slide, subslide, steps: HTMLElement[][], notes: HTMLElement[] };
+ *   steps[0] is shown with the page, each later step is one fragment.
+ */
+function paginate(elements, cells) {
+  const pages = [];
+  let page = null;
+  let slide = 0;
+  let subslide = 0;
+  const startPage = () => {
+    page = { slide, subslide, steps: [[]], notes: [] };
+    pages.push(page);
+  };
+
+  elements.forEach((element, i) => {
+    const type = cells[i]?.slide;
+    if (type === 'skip') return;
+    if (type === 'slide' || !page) {
+      slide++;
+      subslide = 1;
+      startPage();
+    } else if (type === 'subslide') {
+      subslide++;
+      startPage();
+    }
+    if (type === 'notes') page.notes.push(element);
+    else if (type === 'fragment') page.steps.push([element]);
+    else page.steps[page.steps.length - 1].push(element);
+  });
+  return pages;
+}
+
+/**
+ * Page number as shown and used in the URL hash: "3", or "3.2" for a subslide.
+ * @param {object} page - A page from paginate().
+ * @returns {string} Label.
+ */
+function pageLabel(page) {
+  return page.subslide > 1 ? `${page.slide}.${page.subslide}` : String(page.slide);
+}
+
+/**
+ * Build the slide element for a page, moving its cells into it.
+ * @param {object} page - A page from paginate().
+ * @returns {HTMLElement} The slide.
+ */
+function renderPage(page) {
+  const section = document.createElement('section');
+  section.className = 'nb-slide';
+  section.setAttribute('aria-roledescription', 'slide');
+  section.setAttribute('aria-label', pageLabel(page));
+  section.hidden = true;
+  page.steps.forEach((elements, step) => {
+    if (step === 0) {
+      section.append(...elements);
+      return;
+    }
+    const fragment = document.createElement('div');
+    fragment.className = 'nb-fragment';
+    fragment.append(...elements);
+    section.append(fragment);
+  });
+  return section;
+}
+
+/**
+ * Time since a start, as m:ss.
+ * @param {number} start - Start time (ms).
+ * @returns {string} Elapsed time.
+ */
+function elapsed(start) {
+  const seconds = Math.floor((Date.now() - start) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Open the speaker notes window, styled like the page it belongs to.
+ * @param {string} title - Tutorial title.
+ * @returns {Window|null} The notes window, or null if the browser blocked it.
+ */
+function openNotesWindow(title) {
+  const notes = window.open('', 'nb-speaker-notes', 'popup,width=720,height=540');
+  if (!notes) return null;
+  const doc = notes.document;
+  doc.title = `Speaker notes — ${title}`;
+  doc.head.replaceChildren(...Array.from(document.querySelectorAll('link[rel="stylesheet"], style'), node => node.cloneNode(true)));
+  doc.body.className = 'nb-notes-window';
+  doc.body.innerHTML = `
+    <header class="nb-notes-header">
+      <span class="nb-notes-counter"></span>
+      <span class="nb-notes-clock">0:00</span>
+    </header>
+    <div class="nb-notes-body"></div>
+    <footer class="nb-notes-next"></footer>`;
+  return notes;
+}
+
+/**
+ * Turn the rendered notebook into a slideshow.
+ * @param {HTMLElement} body - Element holding the rendered cells (one .nb-cell per cell).
+ * @param {object[]} cells - Processed cells, in the same order.
+ * @param {object} options
+ * @param {string} options.title - Tutorial title, for the notes window.
+ * @param {string} options.exitUrl - Where "Exit" leads (the tutorial page).
+ * @returns {HTMLElement|null} The slideshow element (charts in it are mounted by the
+ *   caller), or null when there are no cells to show.
+ */
+export function startSlideshow(body, cells, { title, exitUrl }) {
+  const pages = paginate(Array.from(body.querySelectorAll(':scope > .nb-cell')), cells);
+  if (!pages.length) return null;
+  const deck = document.createElement('div');
+  deck.className = 'nb-slides';
+  deck.tabIndex = -1;
+  deck.setAttribute('role', 'region');
+  deck.setAttribute('aria-roledescription', 'slideshow');
+  deck.setAttribute('aria-label', title);
+  deck.innerHTML = `
+    <div class="nb-slides-stage"></div>
+    <div class="nb-slides-controls">
+      <a class="code-copy-btn" href="${exitUrl}"><i data-lucide="x"></i> Exit</a>
+      <button class="code-copy-btn" data-slides="prev" aria-label="Previous"><i data-lucide="chevron-left"></i></button>
+      <span class="nb-slides-counter" aria-live="polite"></span>
+      <button class="code-copy-btn" data-slides="next" aria-label="Next"><i data-lucide="chevron-right"></i></button>
+      <button class="code-copy-btn" data-slides="notes"><i data-lucide="notebook-pen"></i> Notes</button>
+      <button class="code-copy-btn" data-slides="fullscreen"><i data-lucide="maximize"></i> Full screen</button>
+    </div>`;
+  const stage = deck.querySelector('.nb-slides-stage');
+  const counter = deck.querySelector('.nb-slides-counter');
+  const slides = pages.map(renderPage);
+  stage.append(...slides);
+
+  let current = 0;
+  let step = 0;
+  let notes = null;
+  let notesStart = 0;
+  let clock = null;
+
+  const updateNotes = () => {
+    if (!notes || notes.closed) return;
+    const page = pages[current];
+    const next = pages[current + 1];
+    const doc = notes.document;
+    doc.querySelector('.nb-notes-counter').textContent = `${pageLabel(page)} / ${pages[pages.length - 1].slide}` +
+      (page.steps.length > 1 ? ` · step ${step + 1} of ${page.steps.length}` : '');
+    doc.querySelector('.nb-notes-body').innerHTML = page.notes.map(note => note.innerHTML).join('') ||
+      '<p class="nb-notes-empty">No notes for this slide.</p>';
+    const heading = next && slides[current + 1].querySelector('h1, h2, h3');
+    doc.querySelector('.nb-notes-next').textContent = next
+      ? `Next: ${pageLabel(next)}${heading ? ` — ${heading.textContent}` : ''}`
+      : 'End of slideshow';
+  };
+
+  const show = (index, atStep = 0) => {
+    const changed = index !== current;
+    current = Math.max(0, Math.min(index, pages.length - 1));
+    step = Math.max(0, Math.min(atStep, pages[current].steps.length - 1));
+    slides.forEach((slide, i) => { slide.hidden = i !== current; });
+    slides[current].querySelectorAll('.nb-fragment').forEach((fragment, i) => {
+      fragment.classList.toggle('visible', i < step);
+    });
+    if (changed) stage.scrollTop = 0;
+    counter.textContent = `${pageLabel(pages[current])} / ${pages[pages.length - 1].slide}`;
+    window.history.replaceState(null, '', `#/${pageLabel(pages[current]).replace('.', '/')}`);
+    updateNotes();
+    // Charts on a slide that was hidden size themselves on resize
+    window.dispatchEvent(new Event('resize'));
+  };
+
+  /**
+   * Find the page a hash names (#/3 or #/3/2).
+   * @returns {number} Page index, or -1.
+   */
+  const pageFromHash = () => {
+    const match = window.location.hash.match(/^#\/(\d+)(?:\/(\d+))?$/);
+    if (!match) return -1;
+    const slide = Number(match[1]);
+    const subslide = Number(match[2] || 1);
+    return pages.findIndex(page => page.slide === slide && page.subslide === subslide);
+  };
+
+  const openNotes = () => {
+    if (notes && !notes.closed) {
+      notes.focus();
+      return;
+    }
+    notes = openNotesWindow(title);
+    if (!notes) return;
+    notes.document.addEventListener('keydown', onKey);
+    notesStart = Date.now();
+    clearInterval(clock);
+    clock = setInterval(() => {
+      if (notes.closed) clearInterval(clock);
+      else notes.document.querySelector('.nb-notes-clock').textContent = elapsed(notesStart);
+    }, 1000);
+    updateNotes();
+  };
+
+  const toggleFullscreen = () => {
+    const request = document.fullscreenElement ? document.exitFullscreen() : deck.requestFullscreen();
+    request?.catch(() => {});
+  };
+
+  const actions = {
+    next: () => {
+      if (step < pages[current].steps.length - 1) show(current, step + 1);
+      else if (current < pages.length - 1) show(current + 1);
+    },
+    // Going back to a page shows it with all of its fragments
+    prev: () => {
+      if (step > 0) show(current, step - 1);
+      else if (current > 0) show(current - 1, pages[current - 1].steps.length - 1);
+    },
+    first: () => show(0),
+    last: () => show(pages.length - 1, Infinity),
+    fullscreen: toggleFullscreen,
+    notes: openNotes,
+  };
+
+  function onKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+    const action = e.key === ' ' && e.shiftKey ? 'prev' : KEYS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (!action) return;
+    e.preventDefault();
+    actions[action]();
+  }
+
+  deck.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-slides]')?.dataset.slides;
+    if (action) actions[action]();
+  });
+  document.addEventListener('keydown', onKey);
+  window.addEventListener('hashchange', () => {
+    const index = pageFromHash();
+    if (index >= 0 && index !== current) show(index);
+  });
+  window.addEventListener('pagehide', () => {
+    if (notes && !notes.closed) notes.close();
+  });
+
+  document.documentElement.classList.add('nb-slides-open');
+  document.body.append(deck);
+  show(Math.max(0, pageFromHash()));
+  deck.focus();
+  return deck;
+}
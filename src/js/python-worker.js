@@ -0,0 +1,149 @@
+/**
+ * @file Python Worker — runs tutorial code cells with Pyodide off the main thread.
+ * @description Started by notebook-runner.js when a reader turns on run mode.
+ * Loads the Pyodide runtime and the notebook's declared packages from /pyodide/
+ * (published by build-pyodide.js), then runs cells one at a time in a shared
+ * namespace, so later cells see what earlier ones defined. Imports of other
+ * published packages are loaded as cells need them.
+ * Output is streamed back as it is written; a run ends with the cell's result
+ * (repr of its last expression), its matplotlib figures as PNG, or its error.
+ *
+ * Messages in:   { id, type: 'init', packages }   { id, type: 'run', code }
+ * Messages out:  { id, type: 'stream', name: 'stdout'|'stderr', text }
+ *                { id, type: 'status', text }
+ *                { id, type: 'done', result?, images?, error? }
+ *                { id, type: 'failed', message }   (the request itself failed)
+ * @module python-worker
+ */
+
+/** Where build-pyodide.js publishes the runtime and packages */
+const RUNTIME_URL = '/pyodide/';
+
+/**
+ * Python helpers, defined in Pyodide's globals. Cells run in their own
+ * namespace so they never see these.
+ */
+const PRELUDE = `
+import base64, io, os, re, sys, traceback, warnings
+os.environ.setdefault('MPLBACKEND', 'AGG')
+warnings.filterwarnings('ignore', message='.*non-interactive.*')
+from pyodide.code import eval_code_async
+
+_namespace = {'__name__': '__main__'}
+_magic = re.compile(r'^([ \\t]*)([%!].*)$', re.M)
+
+def _strip_magics(source):
+    # Figures are always captured, so %matplotlib is a no-op; other magics and
+    # shell escapes need IPython or a shell and are skipped with a note
+    def replace(match):
+        indent, line = match.groups()
+        if not line.startswith('%matplotlib'):
+            print(f'Skipped in the browser: {line}', file=sys.stderr)
+        return indent + 'pass'
+    return _magic.sub(replace, source)
+
+def _figures():
+    if 'matplotlib.pyplot' not in sys.modules:
+        return []
+    import matplotlib.pyplot as plt
+    images = []
+    for num in plt.get_fignums():
+        buf = io.BytesIO()
+        plt.figure(num).savefig(buf, format='png', bbox_inches='tight')
+        images.append(base64.b64encode(buf.getvalue()).decode('ascii'))
+    plt.close('all')
+    return images
+
+async def _run_cell(source):
+    try:
+        result = await eval_code_async(_strip_magics(source), _namespace, filename='<cell>')
+    except BaseException as err:
+        frames = [f for f in traceback.extract_tb(err.__traceback__) if f.filename == '<cell>']
+        lines = traceback.format_list(frames) + traceback.format_exception_only(type(err), err)
+        return {
+            'images': _figures(),
+            'error': {
+                'ename': type(err).__name__,
+                'evalue': str(err),
+                'traceback': ''.join(['Traceback (most recent call last):\\n', *lines]) if frames else ''.join(lines),
+            },
+        }
+    return {'images': _figures(), 'result': None if result is None else repr(result)}
+`;
+
+let pyodide = null;
+
+/** Request the output streams currently belong to */
+let currentId = null;
+
+/**
+ * Create an output stream that forwards text to the page.
+ * @param {string} name - "stdout" or "stderr".
+ * @returns {{ write: function(Uint8Array): number }} Pyodide stream handler.
+ */
+function forwardStream(name) {
+  const decoder = new TextDecoder();
+  return {
+    write(buffer) {
+      const text = decoder.decode(buffer, { stream: true });
+      if (text) self.postMessage({ id: currentId, type: 'stream', name, text });
+      return buffer.length;
+    },
+  };
+}
+
+/**
+ * Load the runtime and the notebook's packages.
+ * @param {number} id - Request id, for status messages.
+ * @param {string[]} packages - Pyodide package names.
+ */
+async function init(id, packages) {
+  const status = text => self.postMessage({ id, type: 'status', text });
+  status('Loading Python…');
+  const { loadPyodide } = await import(/* @vite-ignore */ `${RUNTIME_URL}pyodide.mjs`);
+  pyodide = await loadPyodide({ indexURL: RUNTIME_URL });
+  pyodide.setStdout(forwardStream('stdout'));
+  pyodide.setStderr(forwardStream('stderr'));
+  if (packages.length) {
+    status(`Loading ${packages.join(', ')}…`);
+    await pyodide.loadPackage(packages);
+  }
+  await pyodide.runPythonAsync(PRELUDE);
+}
+
+/**
+ * Run one cell.
+ * @param {number} id - Request id; streamed output is tagged with it.
+ * @param {string} code - Cell source.
+ * @returns {Promise<object>} { result?, images, error? }
+ */
+async function run(id, code) {
+  currentId = id;
+  try {
+    await pyodide.loadPackagesFromImports(code);
+    const proxy = await pyodide.globals.get('_run_cell')(code);
+    const outcome = proxy.toJs({ dict_converter: Object.fromEntries });
+    proxy.destroy();
+    return outcome;
+  } finally {
+    currentId = null;
+  }
+}
+
+// Requests are handled strictly in order
+let queue = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+  queue = queue.then(async () => {
+    try {
+      if (data.type === 'init') {
+        await init(data.id, data.packages || []);
+        self.postMessage({ id: data.id, type: 'done' });
+      } else if (data.type === 'run') {
+        self.postMessage({ id: data.id, type: 'done', ...(await run(data.id, data.code)) });
+      }
+    } catch (err) {
+      self.postMessage({ id: data.id, type: 'failed', message: err.message });
+    }
+  });
+};
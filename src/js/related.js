@@ -0,0 +1,33 @@
+/**
+ * @file Related Content — renders the "Related" sidebar card.
+ * @description Shows the recommendations that build-related.js stores in each
+ * rendered post and notebook JSON. Shared by blog/post.html and
+ * notebook-renderer.js, so items can link across blog and tutorials.
+ * @module related
+ */
+
+import { escapeHtml } from './utils.js';
+
+/** Labels shown above each related item */
+const TYPE_LABELS = {
+  post: 'Blog',
+  tutorial: 'Tutorial',
+};
+
+/**
+ * Fill a related-content container and reveal it, or keep it hidden when
+ * there is nothing to recommend.
+ * @param {HTMLElement|null} container - Card element holding a `.related-list`.
+ * @param {Array<{ type: string, title: string, url: string, description: string }>} [related]
+ *   Items from the rendered JSON's `related` field.
+ */
+export function renderRelated(container, related) {
+  if (!container || !related || !related.length) return;
+  container.querySelector('.related-list').innerHTML = related.map(item => `
+    <a class="related-item" href="${escapeHtml(item.url)}">
+      <span class="related-item-type">${TYPE_LABELS[item.type] || escapeHtml(item.type)}</span>
+      <span class="related-item-title">${escapeHtml(item.title)}</span>
+      ${item.description ? `<span class="related-item-desc">${escapeHtml(item.description)}</span>` : ''}
+    </a>`).join('');
+  container.style.display = '';
+}
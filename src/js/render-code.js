@@ -0,0 +1,91 @@
+/**
+ * @file Code highlighting — tokenizes notebook code with highlight.js at build time.
+ * @description build-notebooks.js highlights every code cell once, so the
+ * viewer only inserts the finished HTML. Only the kernel languages we publish
+ * are registered: Python, R, Julia, JavaScript, SQL and shell. Anything else is
+ * shown as escaped plain text. Token colors live in blog.css (`.hljs-*`).
+ * @module render-code
+ */
+
+import hljs from 'highlight.js/lib/core';
+import python from 'highlight.js/lib/languages/python';
+import r from 'highlight.js/lib/languages/r';
+import julia from 'highlight.js/lib/languages/julia';
+import javascript from 'highlight.js/lib/languages/javascript';
+import sql from 'highlight.js/lib/languages/sql';
+import bash from 'highlight.js/lib/languages/bash';
+import { escapeHtml } from './utils.js';
+
+hljs.registerLanguage('python', python);
+hljs.registerLanguage('r', r);
+hljs.registerLanguage('julia', julia);
+hljs.registerLanguage('javascript', javascript);
+hljs.registerLanguage('sql', sql);
+hljs.registerLanguage('bash', bash);
+
+/** Kernel and fence language names, lowercased, to a registered highlighter */
+const LANGUAGE_ALIASES = {
+  python: 'python', python3: 'python', ipython: 'python', ipython3: 'python', py: 'python',
+  r: 'r',
+  julia: 'julia', jl: 'julia',
+  javascript: 'javascript', js: 'javascript', node: 'javascript', nodejs: 'javascript',
+  sql: 'sql', postgresql: 'sql', sqlite: 'sql', mysql: 'sql',
+  bash: 'bash', sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+};
+
+/** Language labels shown in the code block header */
+const LANGUAGE_LABELS = {
+  python: 'python', r: 'r', julia: 'julia', javascript: 'javascript', sql: 'sql', bash: 'shell',
+};
+
+/** IPython cell magics that switch a cell to another language, e.g. %%bash */
+const CELL_MAGIC_PATTERN = /^%%(\w+)[^\n]*(?:\n|$)/;
+
+/**
+ * Map a kernel, language_info or fence language name to a registered highlighter.
+ * @param {string} [name] - Language name in any case.
+ * @returns {string|null} Highlighter name, or null if unsupported.
+ */
+export function normalizeLanguage(name) {
+  return LANGUAGE_ALIASES[String(name || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Label for a language in the code block header.
+ * @param {string} [name] - Language name in any case.
+ * @returns {string} Display label (the name itself when unsupported).
+ */
+export function languageLabel(name) {
+  const language = normalizeLanguage(name);
+  return language ? LANGUAGE_LABELS[language] : String(name || 'text').toLowerCase();
+}
+
+/**
+ * Highlight source code.
+ * @param {string} source - Code.
+ * @param {string} [language] - Language name (aliases accepted).
+ * @returns {string} HTML with `hljs-*` token spans, or escaped text if the
+ *   language is unsupported.
+ */
+export function highlightCode(source, language) {
+  const name = normalizeLanguage(language);
+  if (!name) return escapeHtml(source);
+  return hljs.highlight(source, { language: name, ignoreIllegals: true }).value;
+}
+
+/**
+ * Highlight a notebook code cell. A leading cell magic that switches language
+ * (%%bash, %%sql, %%R, %%javascript, …) applies to the rest of the cell.
+ * @param {string} source - Cell source.
+ * @param {string} kernelLanguage - The notebook's language.
+ * @returns {{ html: string, language: string }} Highlighted HTML and the language
+ *   the cell is in.
+ */
+export function highlightCell(source, kernelLanguage) {
+  const magic = source.match(CELL_MAGIC_PATTERN);
+  const magicLanguage = magic && normalizeLanguage(magic[1]);
+  if (!magicLanguage) return { html: highlightCode(source, kernelLanguage), language: kernelLanguage };
+
+  const html = `<span class="hljs-meta">${escapeHtml(magic[0])}</span>${highlightCode(source.slice(magic[0].length), magicLanguage)}`;
+  return { html, language: magicLanguage };
+}
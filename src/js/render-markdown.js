@@ -0,0 +1,80 @@
+/**
+ * @file Markdown rendering — GitHub Flavored Markdown for notebook cells.
+ * @description build-notebooks.js renders markdown cells and Markdown outputs
+ * with marked (GFM: tables, task lists, strikethrough, autolinks) at build time,
+ * so the viewer only inserts sanitized HTML. Math is typeset with KaTeX (see
+ * render-math.js), code fences are highlighted like code cells (see
+ * render-code.js), and headings get GitHub-style IDs that are unique within a
+ * notebook: the same text always gives the same ID, repeats get -1, -2, ….
+ * @module render-markdown
+ */
+
+import { Marked } from 'marked';
+import { findMath } from './math.js';
+import { markdownWithMath } from './render-math.js';
+import { highlightCode, languageLabel } from './render-code.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Collect the plain text of inline tokens (for heading IDs).
+ * @param {object[]} tokens - marked inline tokens.
+ * @returns {string} Text without markup.
+ */
+function tokensToText(tokens) {
+  return tokens.map(token => (token.tokens ? tokensToText(token.tokens) : token.text || '')).join('');
+}
+
+/**
+ * Create a heading ID generator. IDs follow GitHub's rules (lowercase, spaces to
+ * hyphens, punctuation dropped), and a repeated ID gets a numeric suffix.
+ * @returns {function(string): string} Heading text to a unique ID.
+ */
+export function createSlugger() {
+  const seen = new Map();
+  return text => {
+    const base = text
+      .toLowerCase()
+      .trim()
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\s-]/gu, '')
+      .replace(/\s/g, '-') || 'section';
+    let id = base;
+    while (seen.has(id)) {
+      seen.set(base, seen.get(base) + 1);
+      id = `${base}-${seen.get(base)}`;
+    }
+    seen.set(id, 0);
+    return id;
+  };
+}
+
+/**
+ * Create a Markdown renderer for one notebook. Heading IDs are unique across
+ * everything it renders, so use one renderer per notebook.
+ * @returns {function(string): string} Markdown to HTML (not yet sanitized).
+ */
+export function createMarkdownRenderer() {
+  const slug = createSlugger();
+  // Formulas are placeholders while marked runs (see math.js); IDs use their TeX
+  let formulas = [];
+  const headingText = tokens => tokensToText(tokens)
+    .replace(/MATHPLACEHOLDER(\d+)X/g, (_, index) => formulas[index]?.tex ?? '');
+  const marked = new Marked({
+    gfm: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const id = slug(headingText(tokens));
+        return `<h${depth} id="${escapeHtml(id)}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+      },
+      // Fences look like code cells: a language header and highlighted code
+      code({ text, lang }) {
+        const language = (lang || '').match(/^\S*/)[0];
+        return `<div class="code-block"><div class="code-block-header"><span class="code-block-lang">${escapeHtml(languageLabel(language))}</span></div>` +
+          `<pre><code>${highlightCode(text, language)}</code></pre></div>\n`;
+      },
+    },
+  });
+  return md => {
+    formulas = findMath(md || '');
+    return markdownWithMath(md || '', source => marked.parse(source));
+  };
+}
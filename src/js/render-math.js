@@ -0,0 +1,123 @@
+/**
+ * @file Math typesetting — renders TeX to HTML and MathML with KaTeX at build time.
+ * @description Used by build-notebooks.js and build-blog.js so pages ship typeset
+ * math and need no client-side TeX runtime; only the KaTeX stylesheet and fonts
+ * are loaded (imported by blog.css and tutorials.css). Formulas are found with
+ * the shared rules in math.js. Invalid TeX is shown in red instead of failing
+ * the build.
+ * @module render-math
+ */
+
+import katex from 'katex';
+import { findMath, protectMath, restoreMath } from './math.js';
+import { escapeHtml } from './utils.js';
+
+/** Elements whose text is never searched for math */
+const SKIP_SELECTOR = 'code, pre, script, style, kbd, samp, textarea, .katex';
+
+/**
+ * Typeset one formula.
+ * @param {string} tex - TeX source, without delimiters.
+ * @param {boolean} display - Display (block) rather than inline math.
+ * @returns {string} KaTeX HTML with embedded MathML.
+ */
+export function renderTex(tex, display) {
+  return katex.renderToString(tex, {
+    displayMode: display,
+    output: 'htmlAndMathml',
+    throwOnError: false,
+    strict: 'ignore',
+  });
+}
+
+/**
+ * Typeset every formula in a Markdown string, for shipping alongside the source.
+ * @param {string} md - Markdown source.
+ * @returns {string[]} Typeset HTML per formula, in math.js findMath() order.
+ */
+export function renderMarkdownMath(md) {
+  return findMath(md).map(({ tex, display }) => renderTex(tex, display));
+}
+
+/**
+ * Render Markdown with a given parser, typesetting its math. Formulas are kept
+ * out of the parser's way so underscores and asterisks in TeX stay intact.
+ * @param {string} md - Markdown source.
+ * @param {function(string): string} parse - Markdown to HTML.
+ * @returns {string} HTML with typeset math.
+ */
+export function markdownWithMath(md, parse) {
+  const math = renderMarkdownMath(md);
+  return math.length ? restoreMath(parse(protectMath(md)), math) : parse(md);
+}
+
+/**
+ * Typeset a `text/latex` output. Delimited formulas are typeset in place with
+ * the text around them escaped; bare TeX (e.g. \begin{align}…) is typeset as
+ * a single display formula.
+ * @param {string} source - LaTeX output text.
+ * @returns {string} HTML string.
+ */
+export function renderLatex(source) {
+  const formulas = findMath(source);
+  if (!formulas.length) return renderTex(source.trim(), true);
+
+  let html = '';
+  let last = 0;
+  for (const { start, end, tex, display } of formulas) {
+    html += escapeHtml(source.slice(last, start)) + renderTex(tex, display);
+    last = end;
+  }
+  return html + escapeHtml(source.slice(last));
+}
+
+/**
+ * Typeset the math in an HTML fragment: $…$ and $$…$$ in text outside code,
+ * and Substack LaTeX blocks (an empty .latex-rendered element whose data-attrs
+ * JSON holds the expression).
+ * @param {string} html - HTML fragment.
+ * @param {Document} document - DOM document to parse with (jsdom in Node).
+ * @returns {string} HTML with typeset math.
+ */
+export function renderHtmlMath(html, document) {
+  if (!html || (!html.includes('$') && !html.includes('latex-rendered'))) return html;
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const root = template.content;
+
+  for (const block of root.querySelectorAll('.latex-rendered[data-attrs]')) {
+    let tex = '';
+    try {
+      tex = JSON.parse(block.getAttribute('data-attrs')).persistentExpression || '';
+    } catch {
+      continue;
+    }
+    if (tex) block.innerHTML = renderTex(tex, true);
+  }
+
+  const walker = document.createTreeWalker(root, 4 /* NodeFilter.SHOW_TEXT */);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.data.includes('$') && !node.parentElement?.closest(SKIP_SELECTOR)) textNodes.push(node);
+  }
+
+  for (const node of textNodes) {
+    const text = node.data;
+    const formulas = findMath(text);
+    if (!formulas.length) continue;
+
+    const fragment = document.createElement('template');
+    let last = 0;
+    let markup = '';
+    for (const { start, end, tex, display } of formulas) {
+      markup += escapeHtml(text.slice(last, start)) + renderTex(tex, display);
+      last = end;
+    }
+    fragment.innerHTML = markup + escapeHtml(text.slice(last));
+    node.replaceWith(fragment.content);
+  }
+
+  return template.innerHTML;
+}
@@ -0,0 +1,174 @@
+/**
+ * @file Site Search — queries the build-time full-text index.
+ * @description Loads public/search-index.json (built by build-search.js) once,
+ * scores documents for a query with TF-IDF over the boosted postings, and
+ * returns ranked results with highlighted snippets. The last query word is
+ * matched as a prefix so results update while typing.
+ * @module search
+ */
+
+import { normalize, tokenize } from './tokenize.js';
+import { escapeHtml } from './utils.js';
+
+/** Characters of context shown on each side of the first match in a snippet */
+const SNIPPET_RADIUS = 80;
+
+/** Prefix matches score lower than exact term matches */
+const PREFIX_PENALTY = 0.5;
+
+/** Labels shown for each content type in cross-type result lists */
+const TYPE_LABELS = {
+  post: 'Blog',
+  tutorial: 'Tutorial',
+  project: 'Project',
+};
+
+let indexPromise = null;
+
+/**
+ * Fetch the search index once per page load.
+ * @returns {Promise<object>} The index with an added sorted term list.
+ */
+export function loadSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = fetch('/search-index.json')
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(index => ({ ...index, termList: Object.keys(index.terms) }))
+      .catch(err => {
+        indexPromise = null;
+        throw err;
+      });
+  }
+  return indexPromise;
+}
+
+/**
+ * Find indexed terms starting with a prefix via binary search over the sorted term list.
+ * @param {string[]} termList - Sorted index terms.
+ * @param {string} prefix - Normalized prefix.
+ * @returns {string[]} Matching terms.
+ */
+function termsWithPrefix(termList, prefix) {
+  let lo = 0;
+  let hi = termList.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (termList[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const matches = [];
+  for (let i = lo; i < termList.length && termList[i].startsWith(prefix); i++) {
+    matches.push(termList[i]);
+  }
+  return matches;
+}
+
+/**
+ * Build an HTML snippet around the first occurrence of any query word, with
+ * every occurrence wrapped in <mark>. Falls back to the start of the text.
+ * @param {string} text - Plain document text.
+ * @param {string[]} words - Normalized query words.
+ * @returns {string} Escaped HTML snippet.
+ */
+export function highlightSnippet(text, words) {
+  if (!text) return '';
+  const pattern = words
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+  // Match words at word starts only, so "arr" highlights "array" but not "embarrassing"
+  const matcher = pattern ? new RegExp(`(?<![\\p{L}\\p{N}])(${pattern})`, 'giu') : null;
+
+  // normalize() keeps string length for Latin text, so positions map back to the original
+  const first = matcher ? Math.max(0, normalize(text).search(matcher)) : 0;
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  const excerpt = text.slice(start, end);
+
+  // Split on matches before escaping so a word can't match inside an entity like &amp;
+  const parts = matcher ? excerpt.split(matcher) : [excerpt];
+  const highlighted = parts
+    .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search the index.
+ * @param {object} index - Index from loadSearchIndex().
+ * @param {string} query - Raw user query.
+ * @param {object} [options]
+ * @param {string[]} [options.types] - Restrict results to these content types.
+ * @param {number} [options.limit=20] - Maximum number of results.
+ * @returns {Array<{ type: string, slug: string, title: string, url: string,
+ *   description: string, score: number, snippet: string }>} Ranked results.
+ */
+export function search(index, query, { types, limit = 20 } = {}) {
+  const words = [...new Set(tokenize(query))];
+  if (!words.length) return [];
+
+  const docCount = index.docs.length;
+  const scores = new Map();
+  const matchedWords = new Map();
+
+  words.forEach((word, i) => {
+    const isLast = i === words.length - 1;
+    const terms = isLast ? termsWithPrefix(index.termList, word) : (index.terms[word] ? [word] : []);
+
+    for (const term of terms) {
+      const postings = index.terms[term];
+      const idf = Math.log(1 + docCount / (postings.length / 2));
+      const factor = term === word ? 1 : PREFIX_PENALTY;
+      for (let p = 0; p < postings.length; p += 2) {
+        const docId = postings[p];
+        scores.set(docId, (scores.get(docId) || 0) + postings[p + 1] * idf * factor);
+        if (!matchedWords.has(docId)) matchedWords.set(docId, new Set());
+        matchedWords.get(docId).add(word);
+      }
+    }
+  });
+
+  const results = [];
+  for (const [docId, score] of scores) {
+    const doc = index.docs[docId];
+    if (types && !types.includes(doc.type)) continue;
+    // Favor documents matching more of the query words
+    const coverage = matchedWords.get(docId).size / words.length;
+    results.push({ docId, score: score * coverage * coverage });
+  }
+  results.sort((a, b) => b.score - a.score);
+
+  return results.slice(0, limit).map(({ docId, score }) => {
+    const { type, slug, title, url, description, text } = index.docs[docId];
+    return {
+      type,
+      slug,
+      title,
+      url,
+      description,
+      score,
+      snippet: highlightSnippet(text || description, words),
+    };
+  });
+}
+
+/**
+ * Render results from other sections of the site as a compact link list,
+ * shown beneath a page's own filtered results.
+ * @param {object[]} results - Results from search().
+ * @returns {string} HTML string, or empty string if there are no results.
+ */
+export function renderOtherResults(results) {
+  if (!results.length) return '';
+  const items = results.map(r => `
+    <a class="search-other-result" href="${escapeHtml(r.url)}">
+      <span class="search-other-type">${TYPE_LABELS[r.type] || escapeHtml(r.type)}</span>
+      <span class="search-other-title">${escapeHtml(r.title)}</span>
+      <span class="search-other-snippet">${r.snippet}</span>
+    </a>`).join('');
+  return `<div class="search-other"><p class="search-other-label">Elsewhere on the site</p>${items}</div>`;
+}
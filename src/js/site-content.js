@@ -0,0 +1,200 @@
+/**
+ * @file Site Content Reader — loads generated content for build-time analysis.
+ * @description Shared by the build scripts that post-process content (search,
+ * related content, pages, feeds). Reads the blog, tutorial and project output
+ * under public/ and turns each item into a document with a type, slug, url,
+ * tags, the path of its rendered JSON (posts and tutorials) and plain-text
+ * fields (title, tags, description, body, code) ready for tokenizing. Also
+ * renders notebook cells to static HTML. Run only after build-blog.js and
+ * build-notebooks.js.
+ * @module site-content
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { JSDOM } from 'jsdom';
+import createDOMPurify from 'dompurify';
+import { postUrl, tutorialUrl } from './urls.js';
+import { ansiToHtml } from './ansi.js';
+import { escapeHtml } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT = join(__dirname, '..', '..');
+
+/** Absolute path of the public/ directory holding generated content */
+export const PUBLIC = join(ROOT, 'public');
+
+const window = new JSDOM('').window;
+const document = window.document;
+const DOMPurify = createDOMPurify(window);
+
+/**
+ * Read JSON file safely, returning a fallback on failure.
+ * @param {string} filePath - Absolute path to JSON file.
+ * @param {*} fallback - Value returned if the file is missing or invalid.
+ * @returns {*} Parsed JSON or the fallback.
+ */
+export function readJsonSafe(filePath, fallback) {
+  try {
+    if (!existsSync(filePath)) return fallback;
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Convert an HTML string to whitespace-collapsed plain text.
+ * @param {string} html - HTML content.
+ * @returns {string} Plain text.
+ */
+export function htmlToText(html) {
+  const el = document.createElement('div');
+  // Pad tags with spaces so adjacent block elements don't run words together
+  el.innerHTML = (html || '').replace(/</g, ' <');
+  return el.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render notebook cells to static, sanitized HTML — markdown and code as
+ * rendered at build time, plus every output type (JSON as formatted text,
+ * charts as their fallback image). Used where
+ * the client-side renderer can't run (pre-rendered pages, feeds).
+ * @param {object[]} cells - Processed cells from a rendered notebook JSON.
+ * @returns {string} HTML string.
+ */
+export function renderNotebookHtml(cells) {
+  const image = ({ src, width, height }, alt) =>
+    `<img src="${escapeHtml(src || '')}" alt="${alt}" loading="lazy"${width && height ? ` width="${width}" height="${height}"` : ''}>`;
+
+  // Parts of a cell tagged hide-* are collapsed, as in the viewer
+  const disclose = (label, content, hidden) => (hidden
+    ? `<details class="nb-disclosure"><summary>${label}</summary>${content}</details>`
+    : content);
+
+  const html = cells.map(cell => {
+    const display = cell.display || {};
+    if (cell.type === 'markdown') {
+      return `<div class="nb-cell nb-cell-markdown">${disclose('Show text', cell.html || '', display.input === 'hidden')}</div>`;
+    }
+    if (cell.type === 'code') {
+      const outputs = (cell.outputs || []).map(output => {
+        if (output.type === 'text') return `<div class="nb-output">${ansiToHtml(output.text)}</div>`;
+        if (output.type === 'image') return `<div class="nb-output nb-output-image">${image(output, 'Output')}</div>`;
+        if (output.type === 'chart' && output.fallback) return `<div class="nb-output nb-output-image">${image(output.fallback, 'Chart')}</div>`;
+        if (output.type === 'svg') return `<div class="nb-output nb-output-image">${output.svg}</div>`;
+        if (output.type === 'html') return `<div class="nb-output nb-output-html">${output.html}</div>`;
+        if (output.type === 'markdown') return `<div class="nb-output nb-output-markdown">${output.html || ''}</div>`;
+        if (output.type === 'latex') return `<div class="nb-output nb-output-latex">${output.html || escapeHtml(output.source)}</div>`;
+        if (output.type === 'error') return `<div class="nb-output nb-output-error">${escapeHtml(output.ename)}: ${escapeHtml(output.evalue)}\n${ansiToHtml(output.traceback)}</div>`;
+        if (output.type === 'json') return `<pre class="nb-output">${escapeHtml(JSON.stringify(output.data, null, 2))}</pre>`;
+        return '';
+      }).join('');
+      const input = display.input === 'removed'
+        ? ''
+        : disclose('Show code', `<div class="code-block"><pre><code>${cell.html ?? escapeHtml(cell.source || '')}</code></pre></div>`, display.input === 'hidden');
+      const output = outputs && display.scroll ? `<div class="nb-output-scroll">${outputs}</div>` : outputs;
+      return `<div class="nb-cell nb-cell-code${input ? '' : ' nb-cell-output-only'}">${input}${disclose('Show output', output, output && display.output === 'hidden')}</div>`;
+    }
+    return '';
+  }).join('');
+  return DOMPurify.sanitize(html, { ADD_TAGS: ['semantics', 'annotation'], ADD_ATTR: ['encoding'] });
+}
+
+/**
+ * Strip Markdown syntax from a cell source, keeping the readable text.
+ * @param {string} md - Markdown source.
+ * @returns {string} Plain text.
+ */
+export function markdownToText(md) {
+  return (md || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[#*_`>|~-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Collect blog post documents from the generated blog index and rendered posts.
+ * @returns {object[]} Documents with type, slug, url, tags, renderedPath and per-field text.
+ */
+export function collectPosts() {
+  const posts = readJsonSafe(join(PUBLIC, 'blog', '_posts.json'), []);
+  return posts.filter(p => p.slug).map(post => {
+    const renderedPath = join(PUBLIC, 'blog', '_rendered', `${post.slug}.json`);
+    const rendered = readJsonSafe(renderedPath, {});
+    return {
+      type: 'post',
+      slug: post.slug,
+      url: postUrl(post.slug),
+      title: post.title,
+      description: htmlToText(post.description),
+      tags: post.tags || [],
+      renderedPath,
+      fields: {
+        title: post.title,
+        tags: (post.tags || []).join(' '),
+        description: htmlToText(post.description),
+        body: htmlToText(rendered.content),
+      },
+    };
+  });
+}
+
+/**
+ * Collect tutorial documents from the generated notebook index and rendered notebooks.
+ * Markdown cells feed the body field; code cell sources feed the code field.
+ * @returns {object[]} Documents with type, slug, url, tags, renderedPath and per-field text.
+ */
+export function collectTutorials() {
+  const notebooks = readJsonSafe(join(PUBLIC, 'tutorials', '_notebooks.json'), []);
+  return notebooks.filter(t => t.slug).map(nb => {
+    const renderedPath = join(PUBLIC, 'tutorials', '_rendered', `${nb.slug}.json`);
+    const rendered = readJsonSafe(renderedPath, {});
+    const cells = rendered.cells || [];
+    return {
+      type: 'tutorial',
+      slug: nb.slug,
+      url: tutorialUrl(nb.slug),
+      title: nb.title,
+      description: nb.description || '',
+      tags: nb.tags || [],
+      renderedPath,
+      fields: {
+        title: nb.title,
+        tags: (nb.tags || []).join(' '),
+        description: nb.description || '',
+        body: cells.filter(c => c.type === 'markdown').map(c => markdownToText(c.source)).join(' '),
+        code: cells.filter(c => c.type === 'code').map(c => c.source).join('\n'),
+      },
+    };
+  });
+}
+
+/**
+ * Collect project documents from the project list.
+ * @returns {object[]} Documents with type, slug, url, tags and per-field text.
+ */
+export function collectProjects() {
+  const projects = readJsonSafe(join(PUBLIC, 'projects', '_projects.json'), []);
+  return projects.filter(p => p.slug).map(project => ({
+    type: 'project',
+    slug: project.slug,
+    url: `/projects/#${encodeURIComponent(project.slug)}`,
+    title: project.title,
+    description: project.description || '',
+    tags: project.tags || [],
+    fields: {
+      title: project.title,
+      tags: [project.category, ...(project.tags || [])].join(' '),
+      description: project.description || '',
+      body: project.description || '',
+    },
+  }));
+}
@@ -0,0 +1,34 @@
+/**
+ * @file Search tokenizer — shared by the build-time indexer and the client search.
+ * @description Splits text into normalized search terms. The index built by
+ * build-search.js and the queries run by search.js must tokenize identically,
+ * so this module has no DOM or Node dependencies and is imported by both.
+ * @module tokenize
+ */
+
+/** Common English words that carry no search signal */
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their',
+  'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Lowercase text and strip diacritics so "Café" and "cafe" match.
+ * @param {string} text - Raw text.
+ * @returns {string} Normalized text.
+ */
+export function normalize(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into search terms: runs of letters/digits, at least two
+ * characters long, with stopwords removed.
+ * @param {string} text - Raw text.
+ * @returns {string[]} Terms in document order (duplicates kept for term frequency).
+ */
+export function tokenize(text) {
+  const words = normalize(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
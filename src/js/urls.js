@@ -0,0 +1,52 @@
+/**
+ * @file Content URLs — canonical paths for blog posts and tutorials.
+ * @description Posts and tutorials are published as pre-rendered pages at
+ * /blog/<slug>/ and /tutorials/<slug>/ (see build-pages.js). The build scripts
+ * and the browser both link to them, so this module has no DOM or Node
+ * dependencies and is imported by both.
+ * @module urls
+ */
+
+/** Origin the site is deployed to, used for absolute links (sitemap, canonical, OG tags) */
+export const SITE_URL = 'https://shushankai.github.io';
+
+/** Slugs are restricted to URL- and filename-safe characters */
+export const SLUG_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Path of a blog post page.
+ * @param {string} slug - Post slug.
+ * @returns {string} Site-relative URL.
+ */
+export function postUrl(slug) {
+  return `/blog/${encodeURIComponent(slug)}/`;
+}
+
+/**
+ * Path of a tutorial page.
+ * @param {string} slug - Notebook slug.
+ * @returns {string} Site-relative URL.
+ */
+export function tutorialUrl(slug) {
+  return `/tutorials/${encodeURIComponent(slug)}/`;
+}
+
+/**
+ * Read the slug of the current detail page, from either the pretty path
+ * (/<section>/<slug>/) or the legacy query parameter (?<param>=<slug>).
+ * @param {Location} location - Usually window.location.
+ * @param {string} section - Top-level path segment ("blog" or "tutorials").
+ * @param {string} param - Legacy query parameter name ("slug" or "nb").
+ * @returns {{ slug: string|null, legacy: boolean }} The slug (null if absent or
+ *   invalid) and whether it came from a legacy query URL.
+ */
+export function slugFromLocation(location, section, param) {
+  const query = new URLSearchParams(location.search).get(param);
+  const match = location.pathname.match(new RegExp(`^/${section}/([^/]+)/?$`));
+  const fromPath = match && !match[1].includes('.') ? decodeURIComponent(match[1]) : null;
+  const slug = query || fromPath;
+  return {
+    slug: slug && SLUG_PATTERN.test(slug) ? slug : null,
+    legacy: Boolean(query),
+  };
+}
@@ -5,14 +5,17 @@
 
 /**
  * Escape HTML special characters to prevent XSS when inserting user-controlled
- * strings into the DOM via innerHTML.
+ * strings into the DOM via innerHTML (text or attribute values). Needs no DOM,
+ * so the build scripts share it with the browser.
  * @param {string} str - The raw string to escape.
  * @returns {string} The escaped string safe for HTML insertion.
  */
 export function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.appendChild(document.createTextNode(str));
-  return div.innerHTML;
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 /**
@@ -1,12 +1,56 @@
 import { resolve } from 'path';
 import { defineConfig } from 'vite';
 
+/** Pretty content paths and the template page that renders them */
+const CONTENT_ROUTES = [
+  { pattern: /^\/blog\/[A-Za-z0-9_-]+\/?(?:[?#].*)?$/, template: '/blog/post.html' },
+  { pattern: /^\/tutorials\/[A-Za-z0-9_-]+\/?(?:[?#].*)?$/, template: '/tutorials/view.html' },
+];
+
+/**
+ * Serve /blog/<slug>/ and /tutorials/<slug>/ from their templates in dev.
+ * Production builds get real pre-rendered pages from build-pages.js.
+ */
+function contentRoutes() {
+  return {
+    name: 'content-routes',
+    configureServer(server) {
+      server.middlewares.use((req, _res, next) => {
+        const route = CONTENT_ROUTES.find(r => r.pattern.test(req.url));
+        if (route) req.url = route.template;
+        next();
+      });
+    },
+  };
+}
+
+/**
+ * Rebuild content in dev when notebooks, blog sources or the project list change,
+ * then reload the browser. The initial build runs in the predev hook.
+ */
+function contentWatch() {
+  return {
+    name: 'content-watch',
+    apply: 'serve',
+    async configureServer(server) {
+      const { watchContent } = await import('./src/js/build.js');
+      const watcher = watchContent({}, () => server.ws.send({ type: 'full-reload' }));
+      server.httpServer?.once('close', () => watcher.close());
+    },
+  };
+}
+
 export default defineConfig({
+  plugins: [contentRoutes(), contentWatch()],
   resolve: {
     alias: {
       'lucide': resolve(__dirname, 'node_modules/lucide/dist/esm/lucide/src/lucide.js'),
     },
   },
+  // The Python worker (python-worker.js) is a module worker
+  worker: {
+    format: 'es',
+  },
   build: {
     sourcemap: false,
     rollupOptions: {